@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+'use strict'
+
+// Command-line tool operating the database of the persistence, see
+// lib/cli.js and `aedes-mysql --help`
+require('../lib/cli').main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code
+  })
@@ -11,19 +11,27 @@ const mysqlPersistence = persistence({
   user: process.env.MYSQL_USER || 'root',
   password: process.env.MYSQL_PASSWORD || '',
   database: process.env.MYSQL_DATABASE || 'aedes_example',
-  
+
   // TTL configuration for automatic cleanup
   ttl: {
     packets: {
-      incoming: 300,    // 5 minutes for QoS 2 incoming packets
-      outgoing: 600,    // 10 minutes for outgoing packets
-      will: 3600,       // 1 hour for will messages
-      retained: -1      // Never expire retained messages
+      incoming: 300, // 5 minutes for QoS 2 incoming packets
+      outgoing: 600, // 10 minutes for outgoing packets
+      will: 3600, // 1 hour for will messages
+      retained: -1 // Never expire retained messages
     },
     subscriptions: 7200 // 2 hours for subscriptions
   }
 })
 
+mysqlPersistence.on('ready', function () {
+  console.log('MySQL persistence ready')
+})
+
+mysqlPersistence.on('error', function (err) {
+  console.error('MySQL persistence error:', err)
+})
+
 // Create Aedes broker with MySQL persistence
 const broker = aedes({
   id: 'AEDES_MYSQL_BROKER',
@@ -83,13 +91,13 @@ server.listen(port, function () {
 // Graceful shutdown
 process.on('SIGINT', function () {
   console.log('\nShutting down gracefully...')
-  
+
   server.close(function () {
     console.log('Server closed')
-    
+
     broker.close(function () {
       console.log('Broker closed')
-      
+
       mysqlPersistence.destroy(function (err) {
         if (err) {
           console.error('Error closing persistence:', err)
@@ -111,4 +119,4 @@ process.on('uncaughtException', function (err) {
 process.on('unhandledRejection', function (reason, promise) {
   console.error('Unhandled rejection at:', promise, 'reason:', reason)
   process.exit(1)
-})
\ No newline at end of file
+})
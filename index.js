@@ -1,26 +1,69 @@
 'use strict'
 
 const mysql = require('mysql2/promise')
-const { Readable } = require('stream')
+const { EventEmitter } = require('events')
+const { Readable, PassThrough, pipeline } = require('stream')
+const util = require('util')
+const Sweeper = require('./lib/sweeper')
+const migrations = require('./lib/migrations')
+const { resolveTables } = require('./lib/tables')
+const SubscriptionCache = require('./lib/subscription-cache')
+const topics = require('./lib/topic')
+const KeysetStream = require('./lib/keyset-stream')
+const QueueLimits = require('./lib/queue-limits')
+const RetainedLimits = require('./lib/retained-limits')
+const properties = require('./lib/properties')
+const session = require('./lib/session')
+const Heartbeat = require('./lib/heartbeat')
+const connection = require('./lib/connection')
+const ReplicaSet = require('./lib/replicas')
+const Retry = require('./lib/retry')
+const CircuitBreaker = require('./lib/circuit-breaker')
+const Metrics = require('./lib/metrics')
+const Compression = require('./lib/compression')
+const Encryption = require('./lib/encryption')
+const WriteBatcher = require('./lib/write-batcher')
+const Admin = require('./lib/admin')
+const Promises = require('./lib/promises')
+const snapshot = require('./lib/snapshot')
+const diagnostics = require('./lib/diagnostics')
+const { NOT_EXPIRED, retainedCondition, outgoingRows, packetDigest, withProperties, outgoingPacket, retainedPacket } = require('./lib/packets')
+
+function payloadSize (packet) {
+  if (!packet.payload) {
+    return 0
+  }
+  return Buffer.byteLength(packet.payload)
+}
 
 function AedesPersistenceMySQL (opts) {
   if (!(this instanceof AedesPersistenceMySQL)) {
     return new AedesPersistenceMySQL(opts)
   }
 
+  EventEmitter.call(this)
+
   opts = opts || {}
   this.options = opts
-  
-  // MySQL connection configuration
-  this.connectionConfig = {
-    host: opts.host || 'localhost',
-    port: opts.port || 3306,
-    user: opts.user || 'root',
-    password: opts.password || '',
-    database: opts.database || 'aedes',
-    charset: 'utf8mb4',
-    timezone: '+00:00'
+
+  // MySQL connection and pool configuration, see lib/connection.js. A pool
+  // given by the caller is used as is, and left open by destroy().
+  this.connectionConfig = connection.connectionConfig(opts)
+  this.poolConfig = connection.poolConfig(opts)
+  this._ownPool = !opts.pool
+
+  // Read replicas and the routing of reads to them, see lib/replicas.js
+  this.replicas = opts.replicas && opts.replicas.length > 0 ? new ReplicaSet(this, opts.replicas, opts) : null
+
+  // Table names, from tablePrefix and the tables map, see lib/tables.js
+  this.tables = resolveTables(opts)
+
+  // Schema migrations: 'auto' applies them, 'verify' only checks the version
+  this.migrate = opts.migrate || 'auto'
+  if (!migrations.MODES.includes(this.migrate)) {
+    throw new Error(`Invalid migrate option "${this.migrate}", expected one of: ${migrations.MODES.join(', ')}`)
   }
+  this.schemaVersion = null
 
   // TTL settings
   this.ttl = opts.ttl || {}
@@ -35,225 +78,544 @@ function AedesPersistenceMySQL (opts) {
   this.ttl.packets = this.ttl.packets || {}
   this.ttl.subscriptions = this.ttl.subscriptions || null
 
+  // TTL cleanup runs in-process, see lib/sweeper.js
+  this.sweeper = new Sweeper(this, opts.sweep)
+  this.sweeper.on('sweep', (removed) => this.emit('sweep', removed))
+  this.sweeper.on('error', (err) => {
+    this._emitError(err, 'Failed to sweep expired MySQL rows:')
+  })
+
+  // Broker liveness for streamWill, see lib/heartbeat.js
+  this.heartbeat = opts.heartbeat === false ? null : new Heartbeat(this, opts.heartbeat)
+
+  // Retries of transient errors, and failing fast during an outage, see
+  // lib/retry.js and lib/circuit-breaker.js
+  this.retry = new Retry(opts.retry === false ? { attempts: 1 } : opts.retry)
+  this.circuitBreaker = opts.circuitBreaker === false ? null : new CircuitBreaker(this, opts.circuitBreaker)
+
+  // Offline queue limits, see lib/queue-limits.js
+  this.queueLimits = opts.queueLimits ? new QueueLimits(opts.queueLimits) : null
+
+  // Retained message limits, see lib/retained-limits.js
+  this.retainedLimits = opts.retainedLimits ? new RetainedLimits(opts.retainedLimits) : null
+
+  // Payload compression, see lib/compression.js
+  this.compression = new Compression(opts.compression)
+
+  // Payload encryption at rest, see lib/encryption.js
+  this.encryption = new Encryption(opts.encryption)
+
+  // Group commit of writes, see lib/write-batcher.js
+  this.batcher = opts.batching ? new WriteBatcher(this, opts.batching === true ? {} : opts.batching) : null
+
+  // Subscriptions kept in memory, see lib/subscription-cache.js
+  this.subscriptionCache = null
+  if (opts.subscriptionCache !== false) {
+    this.subscriptionCache = new SubscriptionCache(this, opts.subscriptionCache)
+    this.on('sweep', (removed) => {
+      // Expired sessions take their subscriptions with them
+      if (removed.subscriptions > 0 || removed.sessions > 0) {
+        this.subscriptionCache.invalidate()
+          .catch((err) => this._emitError(err, 'Failed to reload MySQL subscriptions:'))
+      }
+    })
+  }
+
+  // Opt-in metrics, see lib/metrics.js
+  this._metrics = null
+  if (opts.metrics) {
+    this._metrics = new Metrics(this, opts.metrics === true ? {} : opts.metrics)
+    this._metrics.instrument()
+  }
+
+  // Inspection and cleanup for operators, see lib/admin.js
+  this.admin = new Admin(this)
+
+  // The same methods returning promises, see lib/promises.js
+  this.promises = new Promises(this)
+
   this.pool = null
-  this._ready = false
+  this.ready = false
   this._closed = false
+  this._setupError = null
+  // Operations requested before setup finished, replayed on 'ready'
+  this._pending = []
 
-  this._setup()
+  this._setupDone = this._setup()
 }
 
+util.inherits(AedesPersistenceMySQL, EventEmitter)
+
 AedesPersistenceMySQL.prototype._setup = async function () {
   try {
-    // Create connection pool
-    this.pool = mysql.createPool({
-      ...this.connectionConfig,
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0
-    })
+    this.pool = this._ownPool
+      ? mysql.createPool({ ...this.connectionConfig, ...this.poolConfig })
+      : connection.promisePool(this.options.pool)
+    if (this.replicas) {
+      this.replicas.connect()
+    }
 
-    // Create tables if they don't exist
-    await this._createTables()
-    this._ready = true
+    // Create or upgrade the schema, see lib/migrations.js
+    await this._migrate()
+
+    if (this.subscriptionCache) {
+      await this.subscriptionCache.load()
+    }
   } catch (err) {
-    console.error('Failed to setup MySQL persistence:', err)
-    throw err
+    this._setupError = err
+    this._flushPending(err)
+    this._emitError(err, 'Failed to setup MySQL persistence:')
+    return
+  }
+
+  if (this._closed) {
+    return
+  }
+
+  this.ready = true
+  this.sweeper.start()
+  if (this.heartbeat) {
+    this.heartbeat.start()
+  }
+  if (this.replicas) {
+    this.replicas.start()
   }
+  if (this.subscriptionCache) {
+    this.subscriptionCache.start()
+  }
+  if (this._metrics) {
+    this._metrics.start()
+  }
+  this._flushPending(null)
+  this.emit('ready')
 }
 
-AedesPersistenceMySQL.prototype._createTables = async function () {
-  const connection = await this.pool.getConnection()
-  
-  try {
-    // Subscriptions table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS aedes_subscriptions (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        client_id VARCHAR(255) NOT NULL,
-        topic VARCHAR(512) NOT NULL,
-        qos TINYINT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_client_id (client_id),
-        INDEX idx_topic (topic),
-        UNIQUE KEY unique_subscription (client_id, topic)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `)
-
-    // Retained messages table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS aedes_retained (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        topic VARCHAR(512) NOT NULL UNIQUE,
-        payload LONGBLOB,
-        qos TINYINT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_topic (topic)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `)
-
-    // Outgoing packets table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS aedes_outgoing (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        client_id VARCHAR(255) NOT NULL,
-        message_id INT,
-        topic VARCHAR(512) NOT NULL,
-        payload LONGBLOB,
-        qos TINYINT NOT NULL,
-        retain_flag BOOLEAN DEFAULT FALSE,
-        dup_flag BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_client_id (client_id),
-        INDEX idx_message_id (client_id, message_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `)
-
-    // Incoming packets table (for QoS 2)
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS aedes_incoming (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        client_id VARCHAR(255) NOT NULL,
-        message_id INT NOT NULL,
-        topic VARCHAR(512) NOT NULL,
-        payload LONGBLOB,
-        qos TINYINT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE KEY unique_incoming (client_id, message_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `)
-
-    // Will messages table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS aedes_will (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        client_id VARCHAR(255) NOT NULL UNIQUE,
-        topic VARCHAR(512) NOT NULL,
-        payload LONGBLOB,
-        qos TINYINT NOT NULL,
-        retain_flag BOOLEAN DEFAULT FALSE,
-        broker_id VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_client_id (client_id),
-        INDEX idx_broker_id (broker_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-    `)
-
-    // Add TTL cleanup if configured
-    if (this.ttl.subscriptions && this.ttl.subscriptions > 0) {
-      await connection.execute(`
-        CREATE EVENT IF NOT EXISTS aedes_cleanup_subscriptions
-        ON SCHEDULE EVERY 1 HOUR
-        DO DELETE FROM subscriptions WHERE created_at < DATE_SUB(NOW(), INTERVAL ${this.ttl.subscriptions} SECOND)
-      `)
+// Run fn, retried on transient errors, see lib/retry.js
+AedesPersistenceMySQL.prototype._run = function (fn) {
+  return this.retry.run(fn, this.circuitBreaker)
+}
+
+// The primary pool, with its queries traced, see lib/diagnostics.js
+AedesPersistenceMySQL.prototype._primary = function () {
+  return diagnostics.tracePool(this.pool, 'primary')
+}
+
+AedesPersistenceMySQL.prototype._query = function (sql, params) {
+  return this._run(() => this._primary().query(sql, params))
+}
+
+AedesPersistenceMySQL.prototype._execute = function (sql, params) {
+  return this._run(() => this._primary().execute(sql, params))
+}
+
+// The columns to store for a packet: its payload compressed then encrypted
+// and, with encryption.topics, its topic encrypted. Retained topics are
+// never encrypted, since retained messages are looked up by topic.
+AedesPersistenceMySQL.prototype._seal = async function (packet, encryptTopic) {
+  const stored = await this.compression.compress(packet.payload)
+  return this.encryption.seal(stored, encryptTopic ? packet.topic : undefined)
+}
+
+// Decrypt then decompress rows read with their payload_codec and key_id
+// columns, and topic_ciphertext where the table has one. Outgoing rows are
+// read with their shared payload, see outgoingRows in lib/packets.js.
+AedesPersistenceMySQL.prototype._open = async function (rows) {
+  await Compression.decompressRows(this.encryption.decryptRows(rows))
+
+  const shared = rows.filter(row => row.shared_message_id)
+  if (shared.length > 0) {
+    // The shared payload has its own codec and key
+    const messages = shared.map(row => ({
+      payload: row.shared_payload,
+      payload_codec: row.shared_payload_codec,
+      key_id: row.shared_key_id
+    }))
+    await Compression.decompressRows(this.encryption.decryptRows(messages))
+    shared.forEach((row, i) => {
+      row.payload = messages[i].payload
+    })
+  }
+  return rows
+}
+
+// Run fn(connection) inside a transaction on a dedicated connection. A
+// deadlock rolls back the whole transaction, so retries run fn again.
+// opts.isolation sets the isolation level of the transaction, whatever the
+// default of the server.
+AedesPersistenceMySQL.prototype._transaction = function (fn, opts) {
+  const isolation = opts && opts.isolation
+  return this._run(async () => {
+    const connection = await this._primary().getConnection()
+
+    try {
+      if (isolation) {
+        // Applies to the next transaction of the connection only
+        await connection.query(`SET TRANSACTION ISOLATION LEVEL ${isolation}`)
+      }
+      await connection.beginTransaction()
+      const result = await fn(connection)
+      await connection.commit()
+      return result
+    } catch (err) {
+      await connection.rollback().catch(() => {})
+      throw err
+    } finally {
+      connection.release()
     }
+  })
+}
 
-  } finally {
-    connection.release()
+// Apply a subscription change and record it in the change log, so the
+// caches of the other brokers pick it up
+AedesPersistenceMySQL.prototype._changeSubscriptions = function (client, query, params) {
+  if (!this.subscriptionCache) {
+    return this._query(query, params)
   }
+
+  return this._transaction(async (connection) => {
+    await connection.query(query, params)
+    await this.subscriptionCache.log(connection, client.id)
+  })
 }
 
-// Store a retained message
-AedesPersistenceMySQL.prototype.storeRetained = function (packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+// Emit 'error' when somebody listens for it, otherwise just log it,
+// so a failure in the background never crashes the process
+AedesPersistenceMySQL.prototype._emitError = function (err, message) {
+  if (this.listenerCount('error') > 0) {
+    this.emit('error', err)
+  } else {
+    console.error(message, err)
   }
+}
 
-  const query = `
-    INSERT INTO aedes_retained (topic, payload, qos) 
-    VALUES (?, ?, ?) 
-    ON DUPLICATE KEY UPDATE payload = VALUES(payload), qos = VALUES(qos), created_at = CURRENT_TIMESTAMP
-  `
-  
-  this.pool.execute(query, [packet.topic, packet.payload, packet.qos])
-    .then(() => cb())
-    .catch(cb)
+// Run an operation once setup is complete, or fail it with the setup error
+AedesPersistenceMySQL.prototype._whenReady = function (run, fail) {
+  if (this._closed) {
+    return process.nextTick(fail, new Error('MySQL persistence destroyed'))
+  }
+  if (this._setupError) {
+    return process.nextTick(fail, this._setupError)
+  }
+
+  this._pending.push({ run, fail })
 }
 
-// Create retained stream for pattern matching
-AedesPersistenceMySQL.prototype.createRetainedStreamCombi = function (patterns) {
-  const stream = new Readable({ objectMode: true })
-  stream._read = () => {}
+// Run a read of `method` on a replica if it is routed to one and one is
+// healthy, on the primary otherwise. A read failing on a replica marks it
+// unhealthy and runs again on the primary.
+AedesPersistenceMySQL.prototype._read = function (method, run) {
+  return this._run(() => {
+    const replica = this.replicas ? this.replicas.pick(method) : null
+    if (!replica) {
+      return run(this._primary())
+    }
+
+    return run(diagnostics.tracePool(replica.pool, 'replica'))
+      .catch((err) => {
+        this.replicas.failed(replica, err)
+        return run(this._primary())
+      })
+  })
+}
 
-  if (!this._ready) {
-    stream.destroy(new Error('MySQL persistence not ready'))
-    return stream
+// Stream rows page by page, see lib/keyset-stream.js
+AedesPersistenceMySQL.prototype._keysetStream = function (opts) {
+  return new KeysetStream({
+    batchSize: this.options.streamBatchSize,
+    ...opts
+  })
+}
+
+// Same as _whenReady, for methods returning a stream
+AedesPersistenceMySQL.prototype._deferStream = function (create) {
+  const stream = new PassThrough({ objectMode: true })
+
+  this._whenReady(() => {
+    pipeline(create(), stream, () => {})
+  }, (err) => stream.destroy(err))
+
+  return stream
+}
+
+AedesPersistenceMySQL.prototype._flushPending = function (err) {
+  const pending = this._pending
+  this._pending = []
+
+  for (const op of pending) {
+    if (err) {
+      op.fail(err)
+    } else {
+      op.run()
+    }
   }
+}
 
-  // Convert MQTT patterns to SQL LIKE patterns
-  const conditions = patterns.map(pattern => {
-    const sqlPattern = pattern
-      .replace(/\+/g, '[^/]+')  // + matches single level
-      .replace(/#/g, '.*')      // # matches multi level
-    return `topic REGEXP ?`
+// Bring the schema up to date, or check it, depending on opts.migrate
+AedesPersistenceMySQL.prototype._migrate = async function () {
+  if (this.migrate === 'off') {
+    return
+  }
+
+  if (this.migrate === 'verify') {
+    this.schemaVersion = await migrations.verify(this._primary(), this.tables)
+    return
+  }
+
+  const result = await migrations.migrate(this._primary(), this.tables, {
+    lockTimeout: this.options.migrationLockTimeout
   })
+  this.schemaVersion = result.to
+}
 
-  const query = `SELECT topic, payload, qos FROM aedes_retained WHERE ${conditions.join(' OR ')}`
-  const params = patterns.map(pattern => 
-    '^' + pattern.replace(/\+/g, '[^/]+').replace(/#/g, '.*') + '$'
-  )
+// Store a retained message. A message with an empty payload deletes the
+// one stored for its topic, as MQTT defines.
+AedesPersistenceMySQL.prototype.storeRetained = function (packet, cb) {
+  if (!this.ready) {
+    return this._whenReady(() => this.storeRetained(packet, cb), cb)
+  }
 
-  this.pool.execute(query, params)
-    .then(([rows]) => {
-      rows.forEach(row => {
-        stream.push({
-          topic: row.topic,
-          payload: row.payload,
-          qos: row.qos
-        })
-      })
-      stream.push(null)
+  const clear = payloadSize(packet) === 0
+  if (!clear && this.retainedLimits) {
+    const err = this.retainedLimits.check(packet.topic, payloadSize(packet))
+    if (err) {
+      return process.nextTick(cb, err)
+    }
+  }
+
+  const write = { packet, clear, sealed: clear ? null : this._seal(packet, false) }
+  let stored
+  if (this.batcher) {
+    stored = this.batcher.add('_writeRetained', write, ['retained/' + packet.topic])
+  } else if (this.retainedLimits && this.retainedLimits.maxCount > 0) {
+    // Counting and evicting must see the messages of concurrent writes
+    stored = Promise.resolve(write.sealed)
+      .then(sealed => this._transaction(connection => this._writeRetained(connection, [{ ...write, sealed }])))
+      .then(results => results[0])
+  } else {
+    stored = Promise.resolve(write.sealed)
+      .then(sealed => this._run(() => this._writeRetained(this._primary(), [{ ...write, sealed }])))
+      .then(results => results[0])
+  }
+
+  stored
+    .then((result) => {
+      for (const topic of result.evicted) {
+        this.emit('retainedChanged', { type: 'cleared', topic, reason: 'evicted' })
+      }
+      if (!clear) {
+        this.emit('retainedChanged', { type: 'set', topic: packet.topic, packet })
+      } else if (result.cleared) {
+        this.emit('retainedChanged', { type: 'cleared', topic: packet.topic, reason: 'empty' })
+      }
+      cb()
     })
-    .catch(err => stream.destroy(err))
+    .catch(cb)
+}
 
-  return stream
+// Write retained messages, { packet, clear, sealed }, deleting those to
+// clear in one statement and upserting the others in another. The last
+// write of a topic wins. Resolves with the topics evicted to make room for
+// each write, and whether a write to clear deleted a message, [{ evicted,
+// cleared }]. Runs in a transaction when batched or maxCount is set.
+AedesPersistenceMySQL.prototype._writeRetained = async function (connection, writes) {
+  const now = Date.now()
+  const retained = this.tables.retained
+  const results = writes.map(() => ({ evicted: [], cleared: false }))
+
+  // The messages stored before a batch, to replay its writes on them
+  let present = null
+  const clearTopics = Array.from(new Set(writes.filter(write => write.clear).map(write => write.packet.topic)))
+  if (writes.length > 1 && clearTopics.length > 0) {
+    const [rows] = await connection.query(`SELECT topic FROM ${retained} WHERE topic IN (?) FOR UPDATE`, [clearTopics])
+    present = new Set(rows.map(row => row.topic))
+    writes.forEach((write, i) => {
+      if (write.clear) {
+        results[i].cleared = present.delete(write.packet.topic)
+      } else {
+        present.add(write.packet.topic)
+      }
+    })
+  }
+
+  const last = new Map()
+  writes.forEach((write, i) => last.set(write.packet.topic, i))
+  const clears = []
+  const sets = []
+  for (const i of last.values()) {
+    (writes[i].clear ? clears : sets).push(i)
+  }
+
+  if (clears.length > 0) {
+    const [result] = await connection.query(`DELETE FROM ${retained} WHERE topic IN (?)`, [clears.map(i => writes[i].packet.topic)])
+    if (!present) {
+      results[0].cleared = result.affectedRows > 0
+    }
+  }
+  if (sets.length === 0) {
+    return results
+  }
+
+  if (this.retainedLimits && this.retainedLimits.maxCount > 0) {
+    results[sets[0]].evicted = await this._evictRetained(connection, sets.map(i => writes[i].packet.topic))
+  }
+
+  await connection.query(`
+    INSERT INTO ${retained} (topic, depth, payload, payload_codec, key_id, qos, properties, expires_at)
+    VALUES ?
+    ON DUPLICATE KEY UPDATE
+      payload = VALUES(payload),
+      payload_codec = VALUES(payload_codec),
+      key_id = VALUES(key_id),
+      qos = VALUES(qos),
+      properties = VALUES(properties),
+      expires_at = VALUES(expires_at),
+      created_at = CURRENT_TIMESTAMP
+  `, [sets.map(i => {
+    const { packet, sealed } = writes[i]
+    return [
+      packet.topic,
+      topics.levels(packet.topic).depth,
+      sealed.payload,
+      sealed.codec,
+      sealed.keyId,
+      packet.qos,
+      properties.encode(packet.properties),
+      properties.expiresAt(packet, now)
+    ]
+  })])
+
+  return results
+}
+
+// Make room for retained messages on topicNames within maxCount, deleting
+// the least recently stored other messages. Resolves with their topics.
+AedesPersistenceMySQL.prototype._evictRetained = async function (connection, topicNames) {
+  const retained = this.tables.retained
+  const [existing] = await connection.query(`SELECT topic FROM ${retained} WHERE topic IN (?)`, [topicNames])
+  const [[{ count }]] = await connection.query(`SELECT COUNT(*) AS count FROM ${retained}`)
+
+  const excess = this.retainedLimits.excess(Number(count), topicNames.length - existing.length)
+  if (excess === 0) {
+    return []
+  }
+
+  const [rows] = await connection.query(`
+    SELECT id, topic FROM ${retained}
+    WHERE topic NOT IN (?)
+    ORDER BY created_at, id
+    LIMIT ?
+    FOR UPDATE
+  `, [topicNames, excess])
+  if (rows.length > 0) {
+    await connection.query(`DELETE FROM ${retained} WHERE id IN (?)`, [rows.map(row => row.id)])
+  }
+  return rows.map(row => row.topic)
+}
+
+// Create retained stream for pattern matching
+AedesPersistenceMySQL.prototype.createRetainedStreamCombi = function (patterns) {
+  if (!this.ready) {
+    return this._deferStream(() => this.createRetainedStreamCombi(patterns))
+  }
+
+  patterns = patterns.filter(topics.validFilter)
+  if (patterns.length === 0) {
+    return Readable.from([])
+  }
+
+  const conditions = patterns.map(retainedCondition)
+  const where = conditions.map(condition => condition.sql).join(' OR ')
+  const params = [].concat(...conditions.map(condition => condition.params))
+
+  // Paginate on the unique topic, which the LIKE prefixes can also use
+  return this._keysetStream({
+    key: row => row.topic,
+    fetch: (lastTopic, limit) => this._read('createRetainedStreamCombi', pool => pool.query(`
+      SELECT topic, payload, payload_codec, key_id, qos, properties, expires_at FROM ${this.tables.retained}
+      WHERE (${where}) AND ${NOT_EXPIRED} ${lastTopic === undefined ? '' : 'AND topic > ?'}
+      ORDER BY topic
+      LIMIT ?
+    `, lastTopic === undefined ? [...params, Date.now(), limit] : [...params, Date.now(), lastTopic, limit]))
+      .then(([rows]) => this._open(rows)),
+    map: row => {
+      const now = Date.now()
+      if (properties.expired(row.expires_at, now) || !patterns.some(pattern => topics.matches(pattern, row.topic))) {
+        return null
+      }
+      // Stored before empty payloads deleted the retained message
+      if (!row.payload || row.payload.length === 0) {
+        return null
+      }
+      return retainedPacket(row, now)
+    }
+  })
 }
 
 // Add subscriptions for a client
 AedesPersistenceMySQL.prototype.addSubscriptions = function (client, subscriptions, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.addSubscriptions(client, subscriptions, cb), cb)
+  }
+
+  if (subscriptions.length === 0) {
+    return cb(null, client)
   }
 
-  const values = subscriptions.map(sub => [client.id, sub.topic, sub.qos])
+  const values = subscriptions.map(sub => {
+    const levels = topics.levels(sub.topic)
+    return [client.id, sub.topic, levels.root, levels.depth, sub.qos]
+  })
   const query = `
-    INSERT INTO aedes_subscriptions (client_id, topic, qos) 
-    VALUES ? 
+    INSERT INTO ${this.tables.subscriptions} (client_id, topic, root, depth, qos)
+    VALUES ?
     ON DUPLICATE KEY UPDATE qos = VALUES(qos), created_at = CURRENT_TIMESTAMP
   `
 
-  this.pool.execute(query, [values])
-    .then(() => cb(null, client))
+  this._changeSubscriptions(client, query, [values])
+    .then(() => {
+      if (this.subscriptionCache) {
+        for (const sub of subscriptions) {
+          this.subscriptionCache.add(client.id, sub.topic, sub.qos)
+        }
+      }
+      cb(null, client)
+    })
     .catch(cb)
 }
 
 // Remove subscriptions for a client
 AedesPersistenceMySQL.prototype.removeSubscriptions = function (client, topics, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.removeSubscriptions(client, topics, cb), cb)
   }
 
   if (topics.length === 0) {
     return cb(null, client)
   }
 
-  // Create placeholders for IN clause
-  const placeholders = topics.map(() => '?').join(',')
-  const query = `DELETE FROM aedes_subscriptions WHERE client_id = ? AND topic IN (${placeholders})`
-  
-  this.pool.execute(query, [client.id, ...topics])
-    .then(() => cb(null, client))
+  const query = `DELETE FROM ${this.tables.subscriptions} WHERE client_id = ? AND topic IN (?)`
+
+  this._changeSubscriptions(client, query, [client.id, topics])
+    .then(() => {
+      if (this.subscriptionCache) {
+        for (const topic of topics) {
+          this.subscriptionCache.remove(client.id, topic)
+        }
+      }
+      cb(null, client)
+    })
     .catch(cb)
 }
 
 // Get subscriptions for a client
 AedesPersistenceMySQL.prototype.subscriptionsByClient = function (client, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.subscriptionsByClient(client, cb), cb)
   }
 
-  const query = 'SELECT topic, qos FROM aedes_subscriptions WHERE client_id = ?'
-  
-  this.pool.execute(query, [client.id])
+  const query = `SELECT topic, qos FROM ${this.tables.subscriptions} WHERE client_id = ?`
+
+  this._read('subscriptionsByClient', pool => pool.execute(query, [client.id]))
     .then(([rows]) => {
       const subscriptions = rows.map(row => ({
         topic: row.topic,
@@ -266,16 +628,23 @@ AedesPersistenceMySQL.prototype.subscriptionsByClient = function (client, cb) {
 
 // Count offline subscriptions and clients
 AedesPersistenceMySQL.prototype.countOffline = function (cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.countOffline(cb), cb)
+  }
+
+  if (this.subscriptionCache) {
+    const count = this.subscriptionCache.count()
+    return process.nextTick(cb, null, count.subscriptions, count.clients)
   }
 
+  // Like the cache, and aedes-persistence: QoS 0 subscriptions get no
+  // offline messages and are not counted, but their clients are
   const queries = [
-    'SELECT COUNT(*) as count FROM aedes_subscriptions',
-    'SELECT COUNT(DISTINCT client_id) as count FROM aedes_subscriptions'
+    `SELECT COUNT(*) as count FROM ${this.tables.subscriptions} WHERE qos > 0`,
+    `SELECT COUNT(DISTINCT client_id) as count FROM ${this.tables.subscriptions}`
   ]
 
-  Promise.all(queries.map(query => this.pool.execute(query)))
+  this._read('countOffline', pool => Promise.all(queries.map(query => pool.execute(query))))
     .then(results => {
       const numSubscriptions = results[0][0][0].count
       const numClients = results[1][0][0].count
@@ -286,20 +655,26 @@ AedesPersistenceMySQL.prototype.countOffline = function (cb) {
 
 // Get subscriptions by topic pattern
 AedesPersistenceMySQL.prototype.subscriptionsByTopic = function (pattern, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.subscriptionsByTopic(pattern, cb), cb)
+  }
+
+  if (this.subscriptionCache) {
+    return process.nextTick(cb, null, this.subscriptionCache.match(pattern))
   }
 
-  // Convert MQTT pattern to SQL REGEXP
-  const sqlPattern = '^' + pattern
-    .replace(/\+/g, '[^/]+')
-    .replace(/#/g, '.*') + '$'
+  // Candidate filters start with the topic's first level or a wildcard,
+  // and are at most one level deeper ('a/b/#' matches 'a/b'). QoS 0
+  // subscriptions get no offline messages, as in the cache.
+  const levels = topics.levels(pattern)
+  const query = `
+    SELECT client_id, topic, qos FROM ${this.tables.subscriptions}
+    WHERE root IN (?, '+', '#') AND depth <= ? AND qos > 0
+  `
 
-  const query = 'SELECT client_id, topic, qos FROM aedes_subscriptions WHERE topic REGEXP ?'
-  
-  this.pool.execute(query, [sqlPattern])
+  this._read('subscriptionsByTopic', pool => pool.execute(query, [levels.root, levels.depth + 1]))
     .then(([rows]) => {
-      const subscriptions = rows.map(row => ({
+      const subscriptions = rows.filter(row => topics.matches(row.topic, pattern)).map(row => ({
         clientId: row.client_id,
         topic: row.topic,
         qos: row.qos
@@ -311,293 +686,743 @@ AedesPersistenceMySQL.prototype.subscriptionsByTopic = function (pattern, cb) {
 
 // Clean all subscriptions for a client
 AedesPersistenceMySQL.prototype.cleanSubscriptions = function (client, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.cleanSubscriptions(client, cb), cb)
   }
 
-  const query = 'DELETE FROM aedes_subscriptions WHERE client_id = ?'
-  
-  this.pool.execute(query, [client.id])
-    .then(() => cb(null, client))
+  const query = `DELETE FROM ${this.tables.subscriptions} WHERE client_id = ?`
+
+  this._changeSubscriptions(client, query, [client.id])
+    .then(() => {
+      if (this.subscriptionCache) {
+        this.subscriptionCache.clean(client.id)
+      }
+      cb(null, client)
+    })
     .catch(cb)
 }
 
 // Enqueue outgoing packet
 AedesPersistenceMySQL.prototype.outgoingEnqueueCombi = function (subscriptions, packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.outgoingEnqueueCombi(subscriptions, packet, cb), cb)
   }
 
-  const values = subscriptions.map(sub => [
-    sub.clientId,
-    packet.messageId || null,
-    packet.topic,
-    packet.payload,
-    packet.qos,
-    packet.retain || false,
-    packet.dup || false
-  ])
-
-  if (values.length === 0) {
+  if (subscriptions.length === 0) {
     return cb()
   }
 
-  const query = `
-    INSERT INTO aedes_outgoing (client_id, message_id, topic, payload, qos, retain_flag, dup_flag) 
-    VALUES ?
-  `
+  const clientIds = subscriptions.map(sub => sub.clientId)
+
+  // Compressed and encrypted once for every client
+  const sealed = this._seal(packet, true)
+  let enqueued
+  if (this.queueLimits) {
+    // Locks the queues in a transaction of its own, so it is not batched
+    enqueued = sealed.then(sealed => this._enqueueLimited(clientIds, packet, sealed))
+  } else if (this.batcher) {
+    enqueued = this.batcher.add('_insertOutgoing', { clientIds, packet, sealed }, clientIds.map(clientId => 'outgoing/' + clientId))
+  } else if (clientIds.length > 1) {
+    // The shared payload is inserted in the same transaction as the rows
+    // referring to it, or the sweeper could delete it in between
+    enqueued = sealed.then(sealed => this._transaction(connection => this._insertOutgoing(connection, [{ clientIds, packet, sealed }])))
+  } else {
+    enqueued = sealed.then(sealed => this._run(() => this._insertOutgoing(this._primary(), [{ clientIds, packet, sealed }])))
+  }
 
-  this.pool.execute(query, [values])
+  enqueued
     .then(() => cb())
     .catch(cb)
 }
 
+// Queue packets, { clientIds, packet, sealed } with the columns to store
+// from _seal, in one statement. Runs in a transaction when a packet is
+// queued for several clients, with its shared payload.
+AedesPersistenceMySQL.prototype._insertOutgoing = async function (connection, writes) {
+  const now = Date.now()
+  const values = []
+
+  for (const { clientIds, packet, sealed } of writes) {
+    // A payload queued for several clients is stored once in the messages
+    // table, and shared by their rows. The sweeper deletes it once no row
+    // refers to it anymore.
+    let sharedId = null
+    if (clientIds.length > 1 && sealed.payload !== null && sealed.payload !== undefined) {
+      const [result] = await connection.query(`
+        INSERT INTO ${this.tables.messages} (payload, payload_codec, key_id) VALUES (?, ?, ?)
+      `, [sealed.payload, sealed.codec, sealed.keyId])
+      sharedId = result.insertId
+    }
+
+    const encoded = properties.encode(packet.properties)
+    const expiresAt = properties.expiresAt(packet, now)
+    const digest = packetDigest(packet)
+    for (const clientId of clientIds) {
+      values.push([
+        clientId,
+        packet.brokerId === undefined ? null : packet.brokerId,
+        packet.brokerCounter === undefined ? null : packet.brokerCounter,
+        digest,
+        packet.cmd || 'publish',
+        packet.messageId || null,
+        sealed.topic,
+        sealed.topicCiphertext,
+        sharedId === null ? sealed.payload : null,
+        sharedId === null ? sealed.codec : null,
+        // Also the key of the topic, when it is encrypted
+        sealed.keyId,
+        sharedId,
+        payloadSize(packet),
+        packet.qos,
+        packet.retain || false,
+        packet.dup || false,
+        encoded,
+        expiresAt
+      ])
+    }
+  }
+
+  // A packet is identified by (client_id, broker_id, broker_counter) with
+  // its QoS and the digest of its content, so enqueueing it again, e.g. on a
+  // retry, leaves a single row, and a packet of a restarted broker reusing
+  // the counter gets its own
+  await connection.query(`
+    INSERT INTO ${this.tables.outgoing}
+      (client_id, broker_id, broker_counter, packet_digest, cmd, message_id, topic, topic_ciphertext, payload, payload_codec, key_id,
+        shared_message_id, payload_size, qos, retain_flag, dup_flag, properties, expires_at)
+    VALUES ?
+    ON DUPLICATE KEY UPDATE id = id
+  `, [values])
+}
+
+// Enqueue while enforcing the offline queue limits of every client
+AedesPersistenceMySQL.prototype._enqueueLimited = async function (clientIds, packet, sealed) {
+  clientIds = Array.from(new Set(clientIds))
+  const limits = await this.queueLimits.resolve(clientIds)
+  const size = payloadSize(packet)
+
+  const result = await this._transaction(async (connection) => {
+    // Locking the queues makes brokers enqueueing for the same clients
+    // wait for each other, so the limits hold cluster wide. An empty queue
+    // has no row to lock: its gap is, under REPEATABLE READ only.
+    const [rows] = await connection.query(`
+      SELECT client_id, COUNT(*) AS messages, COALESCE(SUM(payload_size), 0) AS bytes
+      FROM ${this.tables.outgoing}
+      WHERE client_id IN (?)
+      GROUP BY client_id
+      FOR UPDATE
+    `, [clientIds])
+
+    const usage = new Map(rows.map(row => [row.client_id, {
+      messages: Number(row.messages),
+      bytes: Number(row.bytes)
+    }]))
+    const plan = QueueLimits.plan(clientIds, size, usage, limits)
+
+    plan.trimmed = []
+    for (const trim of plan.trim) {
+      plan.trimmed.push(await this._trimQueue(connection, trim))
+    }
+
+    if (plan.accept.length > 0) {
+      await this._insertOutgoing(connection, [{ clientIds: plan.accept, packet, sealed }])
+    }
+
+    return plan
+  }, { isolation: 'REPEATABLE READ' })
+
+  for (const trim of result.trimmed) {
+    this.emit('queueOverflow', { clientId: trim.clientId, policy: 'drop-oldest', dropped: trim.dropped, packet })
+  }
+  for (const clientId of result.drop) {
+    this.emit('queueOverflow', { clientId, policy: limits.get(clientId).policy, dropped: 1, packet })
+  }
+  for (const clientId of result.reject) {
+    this.emit('queueOverflow', { clientId, policy: 'error', dropped: 1, packet })
+  }
+
+  if (result.reject.length > 0) {
+    const err = new Error(`Offline queue full for client(s): ${result.reject.join(', ')}`)
+    err.code = 'QUEUE_FULL'
+    err.clientIds = result.reject
+    throw err
+  }
+}
+
+// Delete the oldest queued messages of a client to free room
+AedesPersistenceMySQL.prototype._trimQueue = async function (connection, trim) {
+  const ids = []
+  let messages = trim.messages
+  let bytes = trim.bytes
+  let lastId = 0
+
+  while (messages > 0 || bytes > 0) {
+    const [rows] = await connection.query(`
+      SELECT id, payload_size FROM ${this.tables.outgoing}
+      WHERE client_id = ? AND id > ?
+      ORDER BY id
+      LIMIT 100
+    `, [trim.clientId, lastId])
+
+    if (rows.length === 0) {
+      break
+    }
+
+    for (const row of rows) {
+      if (messages <= 0 && bytes <= 0) {
+        break
+      }
+      ids.push(row.id)
+      messages--
+      bytes -= row.payload_size
+      lastId = row.id
+    }
+  }
+
+  if (ids.length > 0) {
+    await connection.query(`DELETE FROM ${this.tables.outgoing} WHERE id IN (?)`, [ids])
+  }
+
+  return { clientId: trim.clientId, dropped: ids.length }
+}
+
 // Update outgoing packet
 AedesPersistenceMySQL.prototype.outgoingUpdate = function (client, packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.outgoingUpdate(client, packet, cb), cb)
   }
 
-  const query = `
-    UPDATE aedes_outgoing 
-    SET message_id = ?, dup_flag = ? 
-    WHERE client_id = ? AND topic = ? AND payload = ?
-  `
+  this._outgoingUpdate(client, packet)
+    .then(() => cb(null, client, packet))
+    .catch(cb)
+}
 
-  this.pool.execute(query, [
-    packet.messageId,
+AedesPersistenceMySQL.prototype._outgoingUpdate = async function (client, packet) {
+  // Assign the messageId of the packet sent by the broker. aedes may have
+  // downgraded its QoS to the one of the subscription. Rows queued before
+  // packets had a digest come last.
+  if (packet.brokerId !== undefined && packet.brokerCounter !== undefined) {
+    const [result] = await this._query(`
+      UPDATE ${this.tables.outgoing}
+      SET message_id = ?
+      WHERE client_id = ? AND broker_id = ? AND broker_counter = ? AND qos >= ?
+        AND (packet_digest = ? OR packet_digest IS NULL)
+      ORDER BY packet_digest IS NULL, id
+      LIMIT 1
+    `, [packet.messageId, client.id, packet.brokerId, packet.brokerCounter, packet.qos || 0, packetDigest(packet)])
+
+    if (result.affectedRows > 0) {
+      return
+    }
+  }
+
+  // Otherwise the packet replaces the one with its messageId, typically a
+  // PUBREL replacing the PUBLISH it acknowledges
+  const sealed = await this._seal({ topic: packet.topic || '', payload: packet.payload || null }, true)
+  const [result] = await this._query(`
+    UPDATE ${this.tables.outgoing}
+    SET cmd = ?, topic = ?, topic_ciphertext = ?, payload = ?, payload_codec = ?, key_id = ?, shared_message_id = NULL,
+      payload_size = ?, qos = ?, retain_flag = ?, dup_flag = ?,
+      broker_id = ?, broker_counter = ?, packet_digest = ?, properties = ?, expires_at = ?
+    WHERE client_id = ? AND message_id = ? AND NOT (broker_id <=> ?)
+    ORDER BY id
+    LIMIT 1
+  `, [
+    packet.cmd || 'publish',
+    sealed.topic,
+    sealed.topicCiphertext,
+    sealed.payload,
+    sealed.codec,
+    sealed.keyId,
+    payloadSize(packet),
+    packet.qos || 0,
+    packet.retain || false,
     packet.dup || false,
+    packet.brokerId === undefined ? null : packet.brokerId,
+    packet.brokerCounter === undefined ? null : packet.brokerCounter,
+    packetDigest(packet),
+    properties.encode(packet.properties),
+    properties.expiresAt(packet, Date.now()),
     client.id,
-    packet.topic,
-    packet.payload
+    packet.messageId,
+    packet.brokerId === undefined ? null : packet.brokerId
   ])
-    .then(() => cb())
-    .catch(cb)
+
+  if (result.affectedRows > 0) {
+    return
+  }
+
+  // A retry after a lost acknowledgement finds the row already replaced
+  const [rows] = await this._query(`
+    SELECT id FROM ${this.tables.outgoing}
+    WHERE client_id = ? AND message_id = ? AND cmd = ? AND broker_id <=> ? AND broker_counter <=> ?
+    LIMIT 1
+  `, [
+    client.id,
+    packet.messageId,
+    packet.cmd || 'publish',
+    packet.brokerId === undefined ? null : packet.brokerId,
+    packet.brokerCounter === undefined ? null : packet.brokerCounter
+  ])
+
+  if (rows.length === 0) {
+    throw new Error('no such packet')
+  }
 }
 
-// Clear message by ID
+// Clear message by ID, calls back with the packet that was stored
 AedesPersistenceMySQL.prototype.outgoingClearMessageId = function (client, packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.outgoingClearMessageId(client, packet, cb), cb)
   }
 
-  const query = 'DELETE FROM aedes_outgoing WHERE client_id = ? AND message_id = ?'
-  
-  this.pool.execute(query, [client.id, packet.messageId])
-    .then(() => cb(null, packet))
+  const write = { clientId: client.id, messageId: packet.messageId }
+  const cleared = this.batcher
+    ? this.batcher.add('_clearOutgoing', write, ['outgoing/' + client.id])
+    : this._transaction(connection => this._clearOutgoing(connection, [write])).then(rows => rows[0])
+
+  cleared
+    // Decrypted and decompressed once the row is deleted, rather than
+    // while holding its lock
+    .then((row) => row && this._open([row]).then(() => outgoingPacket(row, Date.now())))
+    .then((stored) => cb(null, stored))
     .catch(cb)
 }
 
+// Delete the queued packets of writes, { clientId, messageId }, in one
+// statement. Resolves with their rows, undefined for those not found, in
+// the order of the writes. Runs in a transaction.
+AedesPersistenceMySQL.prototype._clearOutgoing = async function (connection, writes) {
+  const [rows] = await connection.query(`
+    SELECT * FROM ${this.tables.outgoing}
+    WHERE (client_id, message_id) IN (?)
+    ORDER BY id
+    FOR UPDATE
+  `, [writes.map(write => [write.clientId, write.messageId])])
+
+  // Each write clears the oldest row left with its messageId
+  const byMessageId = new Map()
+  for (const row of rows) {
+    const key = JSON.stringify([row.client_id, row.message_id])
+    byMessageId.set(key, (byMessageId.get(key) || []).concat(row))
+  }
+  const cleared = writes.map(write => (byMessageId.get(JSON.stringify([write.clientId, write.messageId])) || []).shift())
+  const found = cleared.filter(row => row !== undefined)
+  if (found.length === 0) {
+    return cleared
+  }
+
+  // Read before the sweeper may delete them, once the rows are gone
+  const sharedIds = found.filter(row => row.shared_message_id).map(row => row.shared_message_id)
+  if (sharedIds.length > 0) {
+    const [shared] = await connection.query(`
+      SELECT id AS shared_message_id, payload AS shared_payload, payload_codec AS shared_payload_codec,
+        key_id AS shared_key_id
+      FROM ${this.tables.messages}
+      WHERE id IN (?)
+    `, [sharedIds])
+    const byId = new Map(shared.map(message => [message.shared_message_id, message]))
+    for (const row of found) {
+      Object.assign(row, byId.get(row.shared_message_id))
+    }
+  }
+
+  await connection.query(`DELETE FROM ${this.tables.outgoing} WHERE id IN (?)`, [found.map(row => row.id)])
+  return cleared
+}
+
 // Create outgoing stream for client
 AedesPersistenceMySQL.prototype.outgoingStream = function (client) {
-  const stream = new Readable({ objectMode: true })
-  stream._read = () => {}
-
-  if (!this._ready) {
-    stream.destroy(new Error('MySQL persistence not ready'))
-    return stream
+  if (!this.ready) {
+    return this._deferStream(() => this.outgoingStream(client))
   }
 
-  const query = 'SELECT * FROM aedes_outgoing WHERE client_id = ? ORDER BY id'
-  
-  this.pool.execute(query, [client.id])
-    .then(([rows]) => {
-      rows.forEach(row => {
-        stream.push({
-          messageId: row.message_id,
-          topic: row.topic,
-          payload: row.payload,
-          qos: row.qos,
-          retain: row.retain_flag,
-          dup: row.dup_flag
-        })
-      })
-      stream.push(null)
-    })
-    .catch(err => stream.destroy(err))
+  const outgoing = this.tables.outgoing
+  const query = `
+    ${outgoingRows(this.tables)}
+    WHERE client_id = ? AND ${NOT_EXPIRED} AND ${outgoing}.id > ?
+    ORDER BY ${outgoing}.id
+    LIMIT ?
+  `
 
-  return stream
+  return this._keysetStream({
+    fetch: (lastId, limit) => this._query(query, [client.id, Date.now(), lastId || 0, limit])
+      .then(([rows]) => this._open(rows)),
+    // A packet may expire between fetching its page and reading it
+    map: row => {
+      const now = Date.now()
+      return properties.expired(row.expires_at, now) ? null : outgoingPacket(row, now)
+    }
+  })
 }
 
 // Store incoming packet (QoS 2)
 AedesPersistenceMySQL.prototype.incomingStorePacket = function (client, packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.incomingStorePacket(client, packet, cb), cb)
   }
 
-  const query = `
-    INSERT INTO aedes_incoming (client_id, message_id, topic, payload, qos) 
-    VALUES (?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE topic = VALUES(topic), payload = VALUES(payload), qos = VALUES(qos)
-  `
+  const sealed = this._seal(packet, true)
+  const stored = this.batcher
+    ? this.batcher.add('_writeIncoming', { clientId: client.id, packet, sealed }, ['incoming/' + client.id])
+    : sealed.then(sealed => this._run(() => this._writeIncoming(this._primary(), [{ clientId: client.id, packet, sealed }])))
 
-  this.pool.execute(query, [
-    client.id,
-    packet.messageId,
-    packet.topic,
-    packet.payload,
-    packet.qos
-  ])
+  stored
     .then(() => cb(null, packet))
     .catch(cb)
 }
 
+// Store incoming packets, { clientId, packet, sealed }, in one statement
+AedesPersistenceMySQL.prototype._writeIncoming = async function (connection, writes) {
+  const now = Date.now()
+  await connection.query(`
+    INSERT INTO ${this.tables.incoming}
+      (client_id, message_id, topic, topic_ciphertext, payload, payload_codec, key_id, qos, properties, expires_at)
+    VALUES ?
+    ON DUPLICATE KEY UPDATE
+      topic = VALUES(topic),
+      topic_ciphertext = VALUES(topic_ciphertext),
+      payload = VALUES(payload),
+      payload_codec = VALUES(payload_codec),
+      key_id = VALUES(key_id),
+      qos = VALUES(qos),
+      properties = VALUES(properties),
+      expires_at = VALUES(expires_at)
+  `, [writes.map(({ clientId, packet, sealed }) => [
+    clientId,
+    packet.messageId,
+    sealed.topic,
+    sealed.topicCiphertext,
+    sealed.payload,
+    sealed.codec,
+    sealed.keyId,
+    packet.qos,
+    properties.encode(packet.properties),
+    properties.expiresAt(packet, now)
+  ])])
+}
+
 // Get incoming packet (QoS 2)
 AedesPersistenceMySQL.prototype.incomingGetPacket = function (client, packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.incomingGetPacket(client, packet, cb), cb)
   }
 
-  const query = 'SELECT * FROM aedes_incoming WHERE client_id = ? AND message_id = ?'
-  
-  this.pool.execute(query, [client.id, packet.messageId])
-    .then(([rows]) => {
+  // An expired packet is not found, as if the TTL sweeper removed it
+  const query = `SELECT * FROM ${this.tables.incoming} WHERE client_id = ? AND message_id = ? AND ${NOT_EXPIRED}`
+  const now = Date.now()
+
+  this._execute(query, [client.id, packet.messageId, now])
+    .then(([rows]) => this._open(rows))
+    .then((rows) => {
       if (rows.length === 0) {
         return cb(new Error('Packet not found'))
       }
       const row = rows[0]
-      cb(null, {
+      cb(null, withProperties({
         messageId: row.message_id,
         topic: row.topic,
         payload: row.payload,
         qos: row.qos
-      })
+      }, row, now))
     })
     .catch(cb)
 }
 
 // Delete incoming packet (QoS 2)
 AedesPersistenceMySQL.prototype.incomingDelPacket = function (client, packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.incomingDelPacket(client, packet, cb), cb)
   }
 
-  const query = 'DELETE FROM aedes_incoming WHERE client_id = ? AND message_id = ?'
-  
-  this.pool.execute(query, [client.id, packet.messageId])
+  const query = `DELETE FROM ${this.tables.incoming} WHERE client_id = ? AND message_id = ?`
+
+  this._execute(query, [client.id, packet.messageId])
     .then(() => cb(null, packet))
     .catch(cb)
 }
 
 // Store will message
 AedesPersistenceMySQL.prototype.putWill = function (client, packet, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.putWill(client, packet, cb), cb)
   }
 
   const query = `
-    INSERT INTO aedes_will (client_id, topic, payload, qos, retain_flag, broker_id) 
-    VALUES (?, ?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE 
-      topic = VALUES(topic), 
-      payload = VALUES(payload), 
-      qos = VALUES(qos), 
+    INSERT INTO ${this.tables.will}
+      (client_id, topic, topic_ciphertext, payload, payload_codec, key_id, qos, retain_flag, broker_id, properties,
+        delay_interval, disconnected_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)
+    ON DUPLICATE KEY UPDATE
+      topic = VALUES(topic),
+      topic_ciphertext = VALUES(topic_ciphertext),
+      payload = VALUES(payload),
+      payload_codec = VALUES(payload_codec),
+      key_id = VALUES(key_id),
+      qos = VALUES(qos),
       retain_flag = VALUES(retain_flag),
       broker_id = VALUES(broker_id),
+      properties = VALUES(properties),
+      delay_interval = VALUES(delay_interval),
+      disconnected_at = NULL,
       created_at = CURRENT_TIMESTAMP
   `
 
-  this.pool.execute(query, [
-    client.id,
-    packet.topic,
-    packet.payload,
-    packet.qos,
-    packet.retain || false,
-    client.broker ? client.broker.id : null
-  ])
+  this._seal(packet, true)
+    .then(sealed => this._execute(query, [
+      client.id,
+      sealed.topic,
+      sealed.topicCiphertext,
+      sealed.payload,
+      sealed.codec,
+      sealed.keyId,
+      packet.qos,
+      packet.retain || false,
+      client.broker ? client.broker.id : null,
+      // The message expiry interval of a will runs from its publication,
+      // so it is stored as is
+      properties.encode(packet.properties),
+      (packet.properties && packet.properties.willDelayInterval) || 0
+    ]))
     .then(() => cb())
     .catch(cb)
 }
 
 // Get will message
 AedesPersistenceMySQL.prototype.getWill = function (client, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.getWill(client, cb), cb)
   }
 
-  const query = 'SELECT * FROM aedes_will WHERE client_id = ?'
-  
-  this.pool.execute(query, [client.id])
-    .then(([rows]) => {
+  const query = `SELECT * FROM ${this.tables.will} WHERE client_id = ?`
+
+  this._execute(query, [client.id])
+    .then(([rows]) => this._open(rows))
+    .then((rows) => {
       if (rows.length === 0) {
         return cb(null, null)
       }
       const row = rows[0]
-      cb(null, {
+      cb(null, withProperties({
         topic: row.topic,
         payload: row.payload,
         qos: row.qos,
         retain: row.retain_flag
-      })
+      }, row))
     })
     .catch(cb)
 }
 
 // Delete will message
 AedesPersistenceMySQL.prototype.delWill = function (client, cb) {
-  if (!this._ready) {
-    return cb(new Error('MySQL persistence not ready'))
+  if (!this.ready) {
+    return this._whenReady(() => this.delWill(client, cb), cb)
   }
 
-  const query = 'DELETE FROM aedes_will WHERE client_id = ?'
-  
-  this.pool.execute(query, [client.id])
+  const query = `DELETE FROM ${this.tables.will} WHERE client_id = ?`
+
+  this._execute(query, [client.id])
     .then(() => cb())
     .catch(cb)
 }
 
-// Stream will messages by brokers
+// Stream the wills due for publication: those of clients whose broker is
+// neither in the `brokers` map of live brokers aedes passes, nor has a live
+// heartbeat, once their will delay interval has elapsed since the client
+// disconnected or, when the broker died, since its heartbeat expired (or
+// since the will was stored, for brokers that never recorded one)
 AedesPersistenceMySQL.prototype.streamWill = function (brokers) {
-  const stream = new Readable({ objectMode: true })
-  stream._read = () => {}
+  if (!this.ready) {
+    return this._deferStream(() => this.streamWill(brokers))
+  }
 
-  if (!this._ready) {
-    stream.destroy(new Error('MySQL persistence not ready'))
-    return stream
+  const brokerIds = Object.keys(brokers || {})
+  const will = this.tables.will
+  const heartbeats = this.tables.brokers
+  const query = `
+    SELECT ${will}.* FROM ${will}
+    LEFT JOIN ${heartbeats} ON ${heartbeats}.broker_id = ${will}.broker_id
+    WHERE ${will}.id > ?
+      ${brokerIds.length > 0 ? `AND (${will}.broker_id IS NULL OR ${will}.broker_id NOT IN (?))` : ''}
+      AND (${heartbeats}.expires_at IS NULL OR ${heartbeats}.expires_at <= ${Heartbeat.NOW})
+      AND COALESCE(${will}.disconnected_at, ${heartbeats}.expires_at, UNIX_TIMESTAMP(${will}.created_at) * 1000)
+        + ${will}.delay_interval * 1000 <= ${Heartbeat.NOW}
+    ORDER BY ${will}.id
+    LIMIT ?
+  `
+
+  return this._keysetStream({
+    fetch: (lastId, limit) => this._read('streamWill', pool => pool.query(query, brokerIds.length > 0
+      ? [lastId || 0, brokerIds, limit]
+      : [lastId || 0, limit]))
+      .then(([rows]) => this._open(rows)),
+    map: row => withProperties({
+      clientId: row.client_id,
+      topic: row.topic,
+      payload: row.payload,
+      qos: row.qos,
+      retain: row.retain_flag,
+      brokerId: row.broker_id
+    }, row)
+  })
+}
+
+// Record that a client connected. session may set clean, expiryInterval
+// (seconds) and protocolVersion, which otherwise come from the client.
+AedesPersistenceMySQL.prototype.putSession = function (client, opts, cb) {
+  if (!this.ready) {
+    return this._whenReady(() => this.putSession(client, opts, cb), cb)
   }
 
-  const brokerIds = Object.keys(brokers)
-  if (brokerIds.length === 0) {
-    stream.push(null)
-    return stream
+  opts = opts || {}
+  const query = `
+    INSERT INTO ${this.tables.sessions}
+      (client_id, clean_start, expiry_interval, protocol_version, broker_id, connected_at, disconnected_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, NULL, NULL)
+    ON DUPLICATE KEY UPDATE
+      clean_start = VALUES(clean_start),
+      expiry_interval = VALUES(expiry_interval),
+      protocol_version = VALUES(protocol_version),
+      broker_id = VALUES(broker_id),
+      connected_at = VALUES(connected_at),
+      disconnected_at = NULL,
+      expires_at = NULL
+  `
+
+  this._execute(query, [
+    client.id,
+    session.clean(client, opts),
+    session.expiryInterval(client, opts),
+    session.protocolVersion(client, opts),
+    client.broker ? client.broker.id : null
+  ])
+    .then(() => cb())
+    .catch(cb)
+}
+
+// Record that a client disconnected, which starts its session expiry and
+// its will delay.
+// MQTT 5 clients may change the expiry interval on DISCONNECT.
+AedesPersistenceMySQL.prototype.disconnectSession = function (client, opts, cb) {
+  if (typeof opts === 'function') {
+    cb = opts
+    opts = {}
+  }
+  if (!this.ready) {
+    return this._whenReady(() => this.disconnectSession(client, opts, cb), cb)
   }
 
-  // Create placeholders for IN clause
-  const placeholders = brokerIds.map(() => '?').join(',')
-  const query = `SELECT * FROM aedes_will WHERE broker_id IN (${placeholders})`
-  
-  this.pool.execute(query, brokerIds)
+  opts = opts || {}
+  // Assignments apply in order, so expires_at uses the new interval. A
+  // session taken over by another broker is left alone.
+  const query = `
+    UPDATE ${this.tables.sessions}
+    SET expiry_interval = COALESCE(?, expiry_interval),
+      disconnected_at = CURRENT_TIMESTAMP,
+      expires_at = IF(expiry_interval = ${session.NEVER_EXPIRES}, NULL, ? + expiry_interval * 1000)
+    WHERE client_id = ? AND broker_id <=> ?
+  `
+
+  const brokerId = client.broker ? client.broker.id : null
+
+  this._execute(query, [
+    typeof opts.expiryInterval === 'number' ? session.expiryInterval(client, opts) : null,
+    Date.now(),
+    client.id,
+    brokerId
+  ])
+    // The will delay interval runs from the disconnection
+    .then(() => this._execute(`
+      UPDATE ${this.tables.will}
+      SET disconnected_at = ${Heartbeat.NOW}
+      WHERE client_id = ? AND broker_id <=> ?
+    `, [client.id, brokerId]))
+    .then(() => cb())
+    .catch(cb)
+}
+
+// Get the session of a client, or null if none is recorded
+AedesPersistenceMySQL.prototype.getSession = function (client, cb) {
+  if (!this.ready) {
+    return this._whenReady(() => this.getSession(client, cb), cb)
+  }
+
+  const query = `SELECT * FROM ${this.tables.sessions} WHERE client_id = ?`
+
+  this._execute(query, [client.id])
     .then(([rows]) => {
-      rows.forEach(row => {
-        stream.push({
-          clientId: row.client_id,
-          topic: row.topic,
-          payload: row.payload,
-          qos: row.qos,
-          retain: row.retain_flag,
-          brokerId: row.broker_id
-        })
+      if (rows.length === 0) {
+        return cb(null, null)
+      }
+      const row = rows[0]
+      cb(null, {
+        clientId: row.client_id,
+        clean: !!row.clean_start,
+        expiryInterval: row.expiry_interval,
+        protocolVersion: row.protocol_version,
+        brokerId: row.broker_id,
+        connectedAt: row.connected_at,
+        disconnectedAt: row.disconnected_at,
+        expiresAt: row.expires_at === null ? null : new Date(Number(row.expires_at))
       })
-      stream.push(null)
     })
-    .catch(err => stream.destroy(err))
+    .catch(cb)
+}
 
-  return stream
+// Keep the sessions table up to date from the connections of a broker
+AedesPersistenceMySQL.prototype.trackSessions = function (broker) {
+  const report = (err) => {
+    if (err) {
+      this._emitError(err, 'Failed to record MySQL session:')
+    }
+  }
+
+  // aedes keeps neither the CONNECT packet nor its properties, so they are
+  // seen on their way in, through preConnect
+  const connects = new WeakMap()
+  const preConnect = broker.preConnect
+  broker.preConnect = function (client, packet, callback) {
+    connects.set(client, packet)
+    preConnect.call(this, client, packet, callback)
+  }
+
+  // The writes of a client run one after the other, or a disconnection
+  // right after the connection could be committed first, and the session
+  // would stay connected forever
+  const writes = new Map()
+  const track = (client, write) => {
+    const previous = writes.get(client.id) || Promise.resolve()
+    const current = previous.then(() => new Promise((resolve) => write((err) => {
+      report(err)
+      resolve()
+    })))
+    writes.set(client.id, current)
+    current.then(() => {
+      if (writes.get(client.id) === current) {
+        writes.delete(client.id)
+      }
+    })
+  }
+
+  broker.on('client', (client) => {
+    const packet = connects.get(client)
+    track(client, done => this.putSession(client, packet ? session.fromConnect(packet) : {}, done))
+  })
+  broker.on('clientDisconnect', (client) => track(client, done => this.disconnectSession(client, done)))
 }
 
 // Get client list for topic
 AedesPersistenceMySQL.prototype.getClientList = function (topic) {
+  if (!this.ready) {
+    return this._deferStream(() => this.getClientList(topic))
+  }
+
   const stream = new Readable({ objectMode: true })
   stream._read = () => {}
 
-  if (!this._ready) {
-    stream.destroy(new Error('MySQL persistence not ready'))
-    return stream
-  }
+  const query = `SELECT DISTINCT client_id FROM ${this.tables.subscriptions} WHERE topic = ?`
 
-  const query = 'SELECT DISTINCT client_id FROM aedes_subscriptions WHERE topic = ?'
-  
-  this.pool.execute(query, [topic])
+  this._read('getClientList', pool => pool.execute(query, [topic]))
     .then(([rows]) => {
       rows.forEach(row => {
         stream.push(row.client_id)
@@ -609,6 +1434,46 @@ AedesPersistenceMySQL.prototype.getClientList = function (topic) {
   return stream
 }
 
+// Remove expired rows now, without waiting for the next scheduled sweep
+AedesPersistenceMySQL.prototype.sweep = function (cb) {
+  if (!this.ready) {
+    return this._whenReady(() => this.sweep(cb), cb)
+  }
+
+  this.sweeper.sweep(cb)
+}
+
+// Export everything stored as an NDJSON snapshot, see lib/snapshot.js
+AedesPersistenceMySQL.prototype.exportSnapshot = function () {
+  if (!this.ready) {
+    return this._deferStream(() => this.exportSnapshot())
+  }
+
+  return snapshot.exportSnapshot(this)
+}
+
+// Import a snapshot, merged over the stored state or replacing it.
+// Returns a promise.
+AedesPersistenceMySQL.prototype.importSnapshot = function (input, opts) {
+  if (!this.ready) {
+    return new Promise((resolve, reject) => {
+      this._whenReady(() => resolve(this.importSnapshot(input, opts)), reject)
+    })
+  }
+
+  return snapshot.importSnapshot(this, input, opts)
+}
+
+// Snapshot of the metrics, null unless opts.metrics is set
+AedesPersistenceMySQL.prototype.metrics = function () {
+  return this._metrics ? this._metrics.snapshot() : null
+}
+
+// The metrics in the Prometheus text format, empty unless opts.metrics is set
+AedesPersistenceMySQL.prototype.prometheus = function () {
+  return this._metrics ? this._metrics.prometheus() : ''
+}
+
 // Destroy persistence
 AedesPersistenceMySQL.prototype.destroy = function (cb) {
   if (this._closed) {
@@ -616,15 +1481,65 @@ AedesPersistenceMySQL.prototype.destroy = function (cb) {
   }
 
   this._closed = true
-  this._ready = false
+  this.ready = false
+  this._flushPending(new Error('MySQL persistence destroyed'))
+
+  // Let a setup in progress finish before closing the pool under it
+  // Queued writes are committed before the pool is closed
+  this._setupDone
+    .then(() => this._stopBatcher(() => this.sweeper.stop(() => {
+      this._stopSubscriptionCache(() => {
+        this._stopHeartbeat(() => {
+          this._stopReplicas(() => {
+            this._stopMetrics(() => {
+              if (this.pool && this._ownPool) {
+                this.pool.end()
+                  .then(() => cb())
+                  .catch(cb)
+              } else {
+                cb()
+              }
+            })
+          })
+        })
+      })
+    })))
+}
 
-  if (this.pool) {
-    this.pool.end()
-      .then(() => cb())
-      .catch(cb)
-  } else {
-    cb()
+AedesPersistenceMySQL.prototype._stopBatcher = function (cb) {
+  if (!this.batcher || !this.pool) {
+    return cb()
+  }
+  this.batcher.stop(cb)
+}
+
+AedesPersistenceMySQL.prototype._stopMetrics = function (cb) {
+  if (!this._metrics) {
+    return cb()
   }
+  this._metrics.stop(cb)
+}
+
+AedesPersistenceMySQL.prototype._stopReplicas = function (cb) {
+  if (!this.replicas) {
+    return cb()
+  }
+  this.replicas.stop(cb)
+}
+
+AedesPersistenceMySQL.prototype._stopHeartbeat = function (cb) {
+  if (!this.heartbeat || !this.pool) {
+    return cb()
+  }
+  this.heartbeat.stop(cb)
+}
+
+AedesPersistenceMySQL.prototype._stopSubscriptionCache = function (cb) {
+  if (!this.subscriptionCache) {
+    return cb()
+  }
+
+  this.subscriptionCache.stop(cb)
 }
 
 // Legacy method for backward compatibility
@@ -637,4 +1552,7 @@ AedesPersistenceMySQL.prototype.outgoingEnqueue = function (subscription, packet
   this.outgoingEnqueueCombi([subscription], packet, cb)
 }
 
-module.exports = AedesPersistenceMySQL
\ No newline at end of file
+// Export a snapshot of another aedes persistence, e.g. in-memory
+AedesPersistenceMySQL.exportSnapshotFrom = snapshot.exportFrom
+
+module.exports = AedesPersistenceMySQL
@@ -0,0 +1,286 @@
+'use strict'
+
+const topics = require('./topic')
+const { NOT_EXPIRED, retainedCondition, outgoingRows, outgoingPacket, retainedPacket } = require('./packets')
+
+const DEFAULT_LIMIT = 100
+const MAX_LIMIT = 1000
+const DELETE_BATCH_SIZE = 1000
+const REENCRYPT_BATCH_SIZE = 100
+
+// Cursors are opaque to the caller: the key of the last row of a page
+function encodeCursor (key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url')
+}
+
+function decodeCursor (cursor) {
+  if (cursor === undefined || cursor === null) {
+    return undefined
+  }
+
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString())
+  } catch (err) {
+    const invalid = new Error('Invalid cursor')
+    invalid.code = 'INVALID_CURSOR'
+    throw invalid
+  }
+}
+
+function pageLimit (opts) {
+  const limit = opts && opts.limit
+  if (!limit) {
+    return DEFAULT_LIMIT
+  }
+  return Math.max(1, Math.min(MAX_LIMIT, Math.floor(limit)))
+}
+
+function validateFilter (filter) {
+  if (!topics.validFilter(filter)) {
+    throw new Error(`Invalid topic filter: ${filter}`)
+  }
+}
+
+// Inspection and cleanup for operators, as instance.admin. Every method
+// returns a promise. Lists are paged with cursors on indexed keys, so they
+// stay cheap on large tables: a page is `{ items, cursor }`, and the cursor
+// is passed as `opts.cursor` to get the next page, until it is null.
+function Admin (persistence) {
+  if (!(this instanceof Admin)) {
+    return new Admin(persistence)
+  }
+
+  this.persistence = persistence
+}
+
+// Resolve once setup is complete, like the queued persistence methods
+Admin.prototype._ready = function () {
+  if (this.persistence.ready) {
+    return Promise.resolve()
+  }
+  return new Promise((resolve, reject) => this.persistence._whenReady(resolve, reject))
+}
+
+// Clients with subscriptions, queued packets or a session, with the number
+// of their subscriptions and queued packets. `opts.subscribedTo` only lists
+// the clients subscribed to that exact topic filter.
+Admin.prototype.listClients = async function (opts) {
+  const after = decodeCursor(opts && opts.cursor) || ''
+  const limit = pageLimit(opts)
+  await this._ready()
+
+  const persistence = this.persistence
+  const tables = persistence.tables
+  const [rows] = opts && opts.subscribedTo !== undefined
+    ? await persistence._query(`
+      SELECT client_id FROM ${tables.subscriptions}
+      WHERE topic = ? AND client_id > ?
+      ORDER BY client_id
+      LIMIT ?
+    `, [opts.subscribedTo, after, limit])
+    : await persistence._query(`
+      SELECT client_id FROM (
+        SELECT client_id FROM ${tables.subscriptions} WHERE client_id > ?
+        UNION SELECT client_id FROM ${tables.outgoing} WHERE client_id > ?
+        UNION SELECT client_id FROM ${tables.sessions} WHERE client_id > ?
+      ) AS clients
+      ORDER BY client_id
+      LIMIT ?
+    `, [after, after, after, limit])
+
+  if (rows.length === 0) {
+    return { items: [], cursor: null }
+  }
+
+  const clientIds = rows.map(row => row.client_id)
+  const [[subscriptions], [queued]] = await Promise.all([
+    persistence._query(`
+      SELECT client_id, COUNT(*) AS count FROM ${tables.subscriptions}
+      WHERE client_id IN (?)
+      GROUP BY client_id
+    `, [clientIds]),
+    persistence._query(`
+      SELECT client_id, COUNT(*) AS count FROM ${tables.outgoing}
+      WHERE client_id IN (?) AND ${NOT_EXPIRED}
+      GROUP BY client_id
+    `, [clientIds, Date.now()])
+  ])
+
+  const counts = rows => new Map(rows.map(row => [row.client_id, Number(row.count)]))
+  const subscriptionCounts = counts(subscriptions)
+  const queuedCounts = counts(queued)
+
+  return {
+    items: clientIds.map(clientId => ({
+      clientId,
+      subscriptions: subscriptionCounts.get(clientId) || 0,
+      queued: queuedCounts.get(clientId) || 0
+    })),
+    cursor: rows.length === limit ? encodeCursor(clientIds[clientIds.length - 1]) : null
+  }
+}
+
+// Packets queued for a client, in delivery order
+Admin.prototype.listQueue = async function (clientId, opts) {
+  const after = decodeCursor(opts && opts.cursor)
+  const limit = pageLimit(opts)
+  await this._ready()
+
+  const now = Date.now()
+  const outgoing = this.persistence.tables.outgoing
+  const [rows] = await this.persistence._query(`
+    ${outgoingRows(this.persistence.tables)}
+    WHERE client_id = ? AND ${NOT_EXPIRED} AND ${outgoing}.id > ?
+    ORDER BY ${outgoing}.id
+    LIMIT ?
+  `, [clientId, now, after || 0, limit])
+
+  return {
+    items: (await this.persistence._open(rows)).map(row => outgoingPacket(row, now)),
+    cursor: rows.length === limit ? encodeCursor(rows[rows.length - 1].id) : null
+  }
+}
+
+// Delete everything stored for a client: subscriptions, queued and
+// incoming packets, will and session. Resolves with the rows removed from
+// each table.
+Admin.prototype.purgeClient = async function (clientId) {
+  await this._ready()
+
+  const persistence = this.persistence
+  const tables = persistence.tables
+  const removed = await persistence._transaction(async (connection) => {
+    const removed = {}
+    for (const table of ['subscriptions', 'outgoing', 'incoming', 'will', 'sessions']) {
+      const [result] = await connection.query(`DELETE FROM ${tables[table]} WHERE client_id = ?`, [clientId])
+      removed[table] = result.affectedRows
+    }
+    if (persistence.subscriptionCache) {
+      await persistence.subscriptionCache.log(connection, clientId)
+    }
+    return removed
+  })
+
+  if (persistence.subscriptionCache) {
+    persistence.subscriptionCache.clean(clientId)
+  }
+  return removed
+}
+
+// Retained messages matching a topic filter, in topic order. Rows the
+// indexes select but the filter does not match are skipped, so a page may
+// hold fewer than `limit` messages while the cursor is not null.
+Admin.prototype.listRetained = async function (filter, opts) {
+  validateFilter(filter)
+  const after = decodeCursor(opts && opts.cursor)
+  const limit = pageLimit(opts)
+  await this._ready()
+
+  const now = Date.now()
+  const rows = await this._retainedRows(filter, after, limit, 'topic, payload, payload_codec, key_id, qos, properties, expires_at')
+  await this.persistence._open(rows)
+
+  return {
+    items: rows
+      .filter(row => topics.matches(filter, row.topic))
+      .map(row => retainedPacket(row, now)),
+    cursor: rows.length === limit ? encodeCursor(rows[rows.length - 1].topic) : null
+  }
+}
+
+// Delete the retained messages matching a topic filter, in batches.
+// Resolves with the number of messages deleted.
+Admin.prototype.deleteRetained = async function (filter) {
+  validateFilter(filter)
+  await this._ready()
+
+  const table = this.persistence.tables.retained
+  let deleted = 0
+  let after
+  let rows
+  do {
+    rows = await this._retainedRows(filter, after, DELETE_BATCH_SIZE, 'topic')
+    const matching = rows.map(row => row.topic).filter(topic => topics.matches(filter, topic))
+    if (matching.length > 0) {
+      const [result] = await this.persistence._query(`DELETE FROM ${table} WHERE topic IN (?)`, [matching])
+      deleted += result.affectedRows
+      for (const topic of matching) {
+        this.persistence.emit('retainedChanged', { type: 'cleared', topic, reason: 'admin' })
+      }
+    }
+    after = rows.length > 0 ? rows[rows.length - 1].topic : after
+  } while (rows.length === DELETE_BATCH_SIZE)
+
+  return deleted
+}
+
+// Re-encrypt with the active key the rows written with an older key, or in
+// plaintext, so old keys can be dropped from the keyring. Each batch of
+// rows is locked in its own transaction, so this can run while brokers use
+// the tables. Resolves with the number of rows re-encrypted per table.
+Admin.prototype.reencrypt = async function (opts) {
+  const persistence = this.persistence
+  const encryption = persistence.encryption
+  if (!encryption.enabled) {
+    throw new Error('Encryption is not enabled')
+  }
+  const batchSize = (opts && opts.batchSize) || REENCRYPT_BATCH_SIZE
+  await this._ready()
+
+  const reencrypted = {}
+  for (const key of ['retained', 'outgoing', 'incoming', 'will', 'messages']) {
+    const table = persistence.tables[key]
+    // Retained topics are never encrypted, see _seal in index.js, and
+    // shared payloads have no topic
+    const hasTopic = key !== 'retained' && key !== 'messages'
+    const topicColumns = hasTopic ? ', topic = ?, topic_ciphertext = ?' : ''
+    reencrypted[key] = 0
+    let lastId = 0
+    let rows
+    do {
+      rows = await persistence._transaction(async (connection) => {
+        const [rows] = await connection.query(`
+          SELECT * FROM ${table}
+          WHERE id > ? AND NOT (key_id <=> ?)
+          ORDER BY id
+          LIMIT ?
+          FOR UPDATE
+        `, [lastId, encryption.activeKey, batchSize])
+
+        // Payloads stay compressed
+        for (const row of encryption.decryptRows(rows)) {
+          const sealed = encryption.seal({ payload: row.payload, codec: row.payload_codec }, hasTopic ? row.topic : undefined)
+          const params = hasTopic
+            ? [sealed.payload, sealed.keyId, sealed.topic, sealed.topicCiphertext, row.id]
+            : [sealed.payload, sealed.keyId, row.id]
+          await connection.query(`UPDATE ${table} SET payload = ?, key_id = ?${topicColumns} WHERE id = ?`, params)
+        }
+        return rows
+      })
+
+      reencrypted[key] += rows.length
+      lastId = rows.length > 0 ? rows[rows.length - 1].id : lastId
+    } while (rows.length === batchSize)
+  }
+
+  return reencrypted
+}
+
+// A page of the unexpired retained rows the indexes select for a filter
+Admin.prototype._retainedRows = async function (filter, after, limit, columns) {
+  const condition = retainedCondition(filter)
+  const [rows] = await this.persistence._query(`
+    SELECT ${columns} FROM ${this.persistence.tables.retained}
+    WHERE ${condition.sql} AND ${NOT_EXPIRED} ${after === undefined ? '' : 'AND topic > ?'}
+    ORDER BY topic
+    LIMIT ?
+  `, after === undefined
+    ? [...condition.params, Date.now(), limit]
+    : [...condition.params, Date.now(), after, limit])
+  return rows
+}
+
+Admin.encodeCursor = encodeCursor
+Admin.decodeCursor = decodeCursor
+
+module.exports = Admin
@@ -0,0 +1,89 @@
+'use strict'
+
+const DEFAULT_THRESHOLD = 5
+const DEFAULT_RESET_TIMEOUT = 10 // seconds
+
+const CLOSED = 'closed'
+const OPEN = 'open'
+const HALF_OPEN = 'half-open'
+
+// Fails queries fast during an outage instead of making every caller wait
+// for its retries. After `threshold` transient failures in a row the circuit
+// opens, and queries fail with a CIRCUIT_OPEN error. After `resetTimeout`
+// seconds a single trial query is let through (half-open): the circuit
+// closes if it succeeds and opens again otherwise.
+//
+// State changes are emitted by the persistence as 'circuitStateChange'.
+function CircuitBreaker (persistence, opts) {
+  if (!(this instanceof CircuitBreaker)) {
+    return new CircuitBreaker(persistence, opts)
+  }
+
+  opts = opts || {}
+  this.persistence = persistence
+  this.threshold = opts.threshold || DEFAULT_THRESHOLD
+  this.resetTimeout = (opts.resetTimeout || DEFAULT_RESET_TIMEOUT) * 1000
+
+  this.state = CLOSED
+  this._failures = 0
+  this._openedAt = 0
+  this._trial = false
+}
+
+CircuitBreaker.prototype._setState = function (state) {
+  if (state === this.state) {
+    return
+  }
+  const previousState = this.state
+  this.state = state
+  this.persistence.emit('circuitStateChange', { state, previousState })
+}
+
+// Whether a query may run now, the breaker fails it fast otherwise
+CircuitBreaker.prototype.allow = function () {
+  if (this.state === CLOSED) {
+    return true
+  }
+
+  if (this.state === OPEN) {
+    if (Date.now() - this._openedAt < this.resetTimeout) {
+      return false
+    }
+    this._setState(HALF_OPEN)
+  }
+
+  // Half-open: a single trial query at a time
+  if (this._trial) {
+    return false
+  }
+  this._trial = true
+  return true
+}
+
+CircuitBreaker.prototype.success = function () {
+  this._failures = 0
+  this._trial = false
+  this._setState(CLOSED)
+}
+
+CircuitBreaker.prototype.failure = function () {
+  this._failures++
+  this._trial = false
+
+  if (this.state === HALF_OPEN || this._failures >= this.threshold) {
+    this._openedAt = Date.now()
+    this._setState(OPEN)
+  }
+}
+
+CircuitBreaker.prototype.openError = function () {
+  const err = new Error('MySQL circuit breaker is open, failing fast')
+  err.code = 'CIRCUIT_OPEN'
+  return err
+}
+
+CircuitBreaker.CLOSED = CLOSED
+CircuitBreaker.OPEN = OPEN
+CircuitBreaker.HALF_OPEN = HALF_OPEN
+
+module.exports = CircuitBreaker
@@ -0,0 +1,92 @@
+'use strict'
+
+const zlib = require('zlib')
+const util = require('util')
+
+const DEFAULT_CODEC = 'gzip'
+const DEFAULT_THRESHOLD = 1024 // bytes
+
+// Codecs of the zlib module. The name of the codec of a payload is stored
+// in its payload_codec column, NULL meaning the payload is stored as is.
+const CODECS = {
+  gzip: {
+    compress: util.promisify(zlib.gzip),
+    decompress: util.promisify(zlib.gunzip),
+    options: level => level === undefined ? {} : { level }
+  },
+  deflate: {
+    compress: util.promisify(zlib.deflate),
+    decompress: util.promisify(zlib.inflate),
+    options: level => level === undefined ? {} : { level }
+  },
+  brotli: {
+    compress: util.promisify(zlib.brotliCompress),
+    decompress: util.promisify(zlib.brotliDecompress),
+    options: level => level === undefined ? {} : { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } }
+  }
+}
+
+// Compresses payloads of at least `threshold` bytes with `codec`, unless
+// that does not make them smaller. Disabled without opts.
+function Compression (opts) {
+  if (!(this instanceof Compression)) {
+    return new Compression(opts)
+  }
+
+  if (opts === true) {
+    opts = {}
+  }
+
+  this.enabled = !!opts
+  opts = opts || {}
+  this.codec = opts.codec || DEFAULT_CODEC
+  this.threshold = opts.threshold === undefined ? DEFAULT_THRESHOLD : opts.threshold
+  this.level = opts.level
+
+  if (!CODECS[this.codec]) {
+    throw new Error(`Unknown compression codec: ${this.codec}, expected one of ${Object.keys(CODECS).join(', ')}`)
+  }
+}
+
+// Resolves with { payload, codec }, the payload to store and its codec
+Compression.prototype.compress = async function (payload) {
+  if (!this.enabled || payload === undefined || payload === null || Buffer.byteLength(payload) < this.threshold) {
+    return { payload, codec: null }
+  }
+
+  const codec = CODECS[this.codec]
+  const compressed = await codec.compress(payload, codec.options(this.level))
+  if (compressed.length >= Buffer.byteLength(payload)) {
+    return { payload, codec: null }
+  }
+  return { payload: compressed, codec: this.codec }
+}
+
+// The original payload of a stored one. Works whether compression is
+// enabled or not, so disabling it keeps compressed rows readable.
+async function decompress (payload, codec) {
+  if (codec === null || codec === undefined || payload === null) {
+    return payload
+  }
+  if (!CODECS[codec]) {
+    throw new Error(`Unknown compression codec: ${codec}`)
+  }
+  return CODECS[codec].decompress(payload)
+}
+
+// Decompress the payload of rows read with their payload_codec column
+async function decompressRows (rows) {
+  for (const row of rows) {
+    if (row.payload_codec) {
+      row.payload = await decompress(row.payload, row.payload_codec)
+      row.payload_codec = null
+    }
+  }
+  return rows
+}
+
+Compression.CODECS = Object.keys(CODECS)
+Compression.decompress = decompress
+Compression.decompressRows = decompressRows
+
+module.exports = Compression
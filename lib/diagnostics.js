@@ -0,0 +1,42 @@
+'use strict'
+
+const diagnosticsChannel = require('diagnostics_channel')
+
+// Every query is traced on this channel, with a context of
+// { command: 'query' | 'execute', sql, role: 'primary' | 'replica' }.
+// Nothing is published, and nothing costs, without subscribers.
+const queryChannel = diagnosticsChannel.tracingChannel('aedes-persistence-mysql:query')
+
+function trace (target, command, sql, params, role) {
+  if (!queryChannel.start.hasSubscribers) {
+    return target[command](sql, params)
+  }
+  return queryChannel.tracePromise(() => target[command](sql, params), { command, sql, role })
+}
+
+function traceQueries (target, traced, role) {
+  traced.query = (sql, params) => trace(target, 'query', sql, params, role)
+  traced.execute = (sql, params) => trace(target, 'execute', sql, params, role)
+  return traced
+}
+
+// Traced views of the pools, the pools themselves are left untouched
+const tracedPools = new WeakMap()
+
+// A view of a mysql2/promise pool whose queries, including those of the
+// connections it hands out, are traced
+function tracePool (pool, role) {
+  let traced = tracedPools.get(pool)
+  if (!traced) {
+    traced = traceQueries(pool, Object.create(pool), role)
+    traced.getConnection = () => pool.getConnection()
+      .then(connection => traceQueries(connection, Object.create(connection), role))
+    tracedPools.set(pool, traced)
+  }
+  return traced
+}
+
+module.exports = {
+  queryChannel,
+  tracePool
+}
@@ -0,0 +1,132 @@
+'use strict'
+
+const migrations = require('./migrations')
+
+// Room left in max_allowed_packet for the rest of a row and the statement
+const PACKET_OVERHEAD = 64 * 1024 // bytes
+
+const OK = 'ok'
+const WARN = 'warn'
+const FAIL = 'fail'
+
+function check (name, status, message) {
+  return { name, status, message }
+}
+
+// Checks of the database a persistence instance uses, run by the doctor
+// command of bin/aedes-mysql.js. Each check resolves with
+// { name, status: 'ok' | 'warn' | 'fail', message }.
+async function doctor (persistence) {
+  const results = []
+  for (const run of [schema, charset, eventScheduler, indexes, maxAllowedPacket]) {
+    results.push(await run(persistence))
+  }
+  return results
+}
+
+async function schema (persistence) {
+  const version = await migrations.getVersion(persistence._primary(), persistence.tables)
+
+  if (version < migrations.latestVersion) {
+    return check('schema', FAIL, `version ${version}, version ${migrations.latestVersion} is required: run the migrate command`)
+  }
+  if (version > migrations.latestVersion) {
+    return check('schema', WARN, `version ${version} is newer than this package knows (${migrations.latestVersion})`)
+  }
+  return check('schema', OK, `version ${version}`)
+}
+
+// Topics and client ids may hold any Unicode character
+async function charset (persistence) {
+  const [[database]] = await persistence._query(`
+    SELECT DEFAULT_CHARACTER_SET_NAME AS charset FROM information_schema.SCHEMATA
+    WHERE SCHEMA_NAME = DATABASE()
+  `)
+  const [tables] = await persistence._query(`
+    SELECT TABLE_NAME AS name, TABLE_COLLATION AS collation FROM information_schema.TABLES
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?)
+  `, [Object.values(persistence.tables)])
+
+  const wrong = tables.filter(table => !String(table.collation).startsWith('utf8mb4'))
+  if (wrong.length > 0) {
+    return check('charset', FAIL, `tables not in utf8mb4: ${wrong.map(table => `${table.name} (${table.collation})`).join(', ')}`)
+  }
+  if (database.charset !== 'utf8mb4') {
+    return check('charset', WARN, `tables are in utf8mb4, but the database defaults to ${database.charset}`)
+  }
+  return check('charset', OK, 'utf8mb4')
+}
+
+// TTL cleanup runs in the persistence. The MySQL events earlier versions
+// created would keep deleting rows behind its back.
+async function eventScheduler (persistence) {
+  const [[scheduler]] = await persistence._query('SELECT @@GLOBAL.event_scheduler AS state')
+  const [events] = await persistence._query(`
+    SELECT EVENT_NAME AS name FROM information_schema.EVENTS
+    WHERE EVENT_SCHEMA = DATABASE() AND EVENT_NAME LIKE 'aedes\\_cleanup\\_%'
+  `)
+
+  if (events.length > 0) {
+    return check('event scheduler', WARN, `leftover cleanup events ${events.map(event => event.name).join(', ')} ` +
+      `(event_scheduler is ${scheduler.state}): TTL cleanup runs in the persistence, drop them with DROP EVENT`)
+  }
+  return check('event scheduler', OK, `not needed, TTL cleanup runs in the persistence (event_scheduler is ${scheduler.state})`)
+}
+
+async function indexes (persistence) {
+  const tables = persistence.tables
+  const [rows] = await persistence._query(`
+    SELECT DISTINCT TABLE_NAME AS tableName, INDEX_NAME AS indexName FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?)
+  `, [Object.values(tables)])
+
+  const existing = new Set(rows.map(row => `${row.tableName}.${row.indexName}`))
+  const missing = []
+  for (const key of Object.keys(migrations.INDEXES)) {
+    for (const index of migrations.INDEXES[key]) {
+      if (!existing.has(`${tables[key]}.${index}`)) {
+        missing.push(`${tables[key]}.${index}`)
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    return check('indexes', FAIL, `missing ${missing.join(', ')}`)
+  }
+  return check('indexes', OK, 'all present')
+}
+
+// Reads every payload, so it takes a while on large tables
+async function maxAllowedPacket (persistence) {
+  const tables = persistence.tables
+  const [[settings]] = await persistence._query('SELECT @@max_allowed_packet AS maxAllowedPacket')
+  const [[largest]] = await persistence._query(`
+    SELECT GREATEST(
+      COALESCE((SELECT MAX(LENGTH(payload)) FROM ${tables.retained}), 0),
+      COALESCE((SELECT MAX(payload_size) FROM ${tables.outgoing}), 0),
+      COALESCE((SELECT MAX(LENGTH(payload)) FROM ${tables.incoming}), 0),
+      COALESCE((SELECT MAX(LENGTH(payload)) FROM ${tables.will}), 0)
+    ) AS payload
+  `)
+
+  return packetCheck(Number(settings.maxAllowedPacket), Number(largest.payload))
+}
+
+function packetCheck (maxAllowedPacket, largestPayload) {
+  const message = `${maxAllowedPacket} bytes, largest stored payload is ${largestPayload} bytes`
+
+  if (largestPayload + PACKET_OVERHEAD > maxAllowedPacket) {
+    return check('max_allowed_packet', FAIL, `${message}: rows that large cannot be written or read`)
+  }
+  if (largestPayload * 2 > maxAllowedPacket) {
+    return check('max_allowed_packet', WARN, `${message}: less than twice the largest payload`)
+  }
+  return check('max_allowed_packet', OK, message)
+}
+
+doctor.packetCheck = packetCheck
+doctor.OK = OK
+doctor.WARN = WARN
+doctor.FAIL = FAIL
+
+module.exports = doctor
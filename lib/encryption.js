@@ -0,0 +1,112 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_LENGTH = 32 // bytes
+const IV_LENGTH = 12 // bytes
+const TAG_LENGTH = 16 // bytes
+const MAX_KEY_ID_LENGTH = 64 // the key_id column
+
+// A key is a 32 bytes Buffer, or a string of 64 hex digits or in base64
+function parseKey (id, key) {
+  if (typeof key === 'string') {
+    key = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64')
+  }
+  if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+    throw new Error(`Encryption key ${id} must be ${KEY_LENGTH} bytes`)
+  }
+  return key
+}
+
+// AES-256-GCM encryption of payloads, and optionally topics, with a keyring:
+// rows are written with opts.activeKey and read with the key whose id is
+// stored in their key_id column. Disabled without opts.
+function Encryption (opts) {
+  if (!(this instanceof Encryption)) {
+    return new Encryption(opts)
+  }
+
+  this.enabled = !!opts
+  opts = opts || {}
+  this.keys = new Map()
+  for (const id of Object.keys(opts.keys || {})) {
+    if (id.length > MAX_KEY_ID_LENGTH) {
+      throw new Error(`Encryption key id ${id} is longer than ${MAX_KEY_ID_LENGTH} characters`)
+    }
+    this.keys.set(id, parseKey(id, opts.keys[id]))
+  }
+  this.activeKey = opts.activeKey
+  this.topics = !!opts.topics
+
+  if (this.enabled && !this.keys.has(this.activeKey)) {
+    throw new Error(`The active encryption key ${this.activeKey} is not in the keyring`)
+  }
+}
+
+// iv, authentication tag and ciphertext. The field name is authenticated,
+// so a topic cannot be passed off as a payload.
+Encryption.prototype.encrypt = function (plaintext, field) {
+  const iv = crypto.randomBytes(IV_LENGTH)
+  const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKey), iv, { authTagLength: TAG_LENGTH })
+  cipher.setAAD(Buffer.from(field))
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext])
+}
+
+Encryption.prototype.decrypt = function (data, keyId, field) {
+  const key = this.keys.get(keyId)
+  if (!key) {
+    const err = new Error(`Unknown encryption key: ${keyId}`)
+    err.code = 'UNKNOWN_KEY'
+    throw err
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH), { authTagLength: TAG_LENGTH })
+  decipher.setAAD(Buffer.from(field))
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH))
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()])
+}
+
+// The columns to store for a payload, already compressed, and a topic,
+// undefined where topics are never encrypted: { payload, codec, keyId,
+// topic, topicCiphertext }
+Encryption.prototype.seal = function (stored, topic) {
+  const sealed = { payload: stored.payload, codec: stored.codec, keyId: null, topic, topicCiphertext: null }
+  if (!this.enabled) {
+    return sealed
+  }
+
+  sealed.keyId = this.activeKey
+  if (stored.payload !== undefined && stored.payload !== null) {
+    sealed.payload = this.encrypt(stored.payload, 'payload')
+  }
+  if (this.topics && topic !== undefined) {
+    // The topic column is NOT NULL, and only ever read back
+    sealed.topic = ''
+    sealed.topicCiphertext = this.encrypt(Buffer.from(topic), 'topic')
+  }
+  return sealed
+}
+
+// Decrypt rows read with their key_id, and topic_ciphertext if the table
+// has one. Rows without a key id are stored in plaintext, so rows written
+// before encryption was enabled keep working.
+Encryption.prototype.decryptRows = function (rows) {
+  for (const row of rows) {
+    if (!row.key_id) {
+      continue
+    }
+    if (row.payload !== null && row.payload !== undefined) {
+      row.payload = this.decrypt(row.payload, row.key_id, 'payload')
+    }
+    if (row.topic_ciphertext) {
+      row.topic = this.decrypt(row.topic_ciphertext, row.key_id, 'topic').toString()
+      row.topic_ciphertext = null
+    }
+    row.key_id = null
+  }
+  return rows
+}
+
+module.exports = Encryption
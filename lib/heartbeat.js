@@ -0,0 +1,140 @@
+'use strict'
+
+const DEFAULT_INTERVAL = 10 // seconds
+const RESUME_BATCH = 1000 // client ids per statement
+
+// Current time of the MySQL server in epoch milliseconds. Liveness is
+// judged with the database clock, so brokers with skewed clocks agree.
+const NOW = 'CAST(UNIX_TIMESTAMP(CURRENT_TIMESTAMP(3)) * 1000 AS UNSIGNED)'
+
+// Records in the brokers table that this broker is alive, until expires_at.
+// A broker whose row expired, or that expired it on shutdown, is dead and
+// the others publish the wills of its clients.
+//
+// The broker id is opts.brokerId, or the id of the aedes broker using the
+// persistence, which aedes sets as persistence.broker.
+function Heartbeat (persistence, opts) {
+  if (!(this instanceof Heartbeat)) {
+    return new Heartbeat(persistence, opts)
+  }
+
+  opts = opts || {}
+  this.persistence = persistence
+  this.interval = (opts.interval || DEFAULT_INTERVAL) * 1000
+  // A broker without a heartbeat for this long (three intervals by
+  // default) is considered dead
+  this.timeout = opts.timeout ? opts.timeout * 1000 : this.interval * 3
+  // The sessions of a dead broker end this long after its heartbeat
+  // expired, so a heartbeat that is only late, e.g. during a failover of
+  // the database, does not end them
+  this.grace = typeof opts.grace === 'number' ? opts.grace * 1000 : this.timeout
+  this.brokerId = opts.brokerId || null
+
+  this._timer = null
+  this._beating = null
+  this._lastId = null
+  this._stopped = true
+}
+
+Heartbeat.prototype.id = function () {
+  if (this.brokerId) {
+    return this.brokerId
+  }
+  const broker = this.persistence.broker
+  return broker && broker.id ? broker.id : null
+}
+
+Heartbeat.prototype.start = function () {
+  if (!this._stopped) {
+    return
+  }
+
+  this._stopped = false
+  this._tick()
+}
+
+Heartbeat.prototype._tick = function () {
+  this._beating = this.beat()
+    .catch((err) => {
+      this.persistence._emitError(err, 'Failed to record MySQL broker heartbeat:')
+    })
+    .then(() => {
+      this._beating = null
+      if (this._stopped) {
+        return
+      }
+      this._timer = setTimeout(() => {
+        this._timer = null
+        this._tick()
+      }, this.interval)
+      this._timer.unref()
+    })
+}
+
+Heartbeat.prototype.beat = async function () {
+  const brokerId = this.id()
+  // aedes sets persistence.broker when it creates the broker
+  if (!brokerId) {
+    return
+  }
+
+  const pool = this.persistence._primary()
+  const [rows] = await pool.query(`
+    SELECT expires_at <= ${NOW} AS expired FROM ${this.persistence.tables.brokers} WHERE broker_id = ?
+  `, [brokerId])
+  await pool.query(`
+    INSERT INTO ${this.persistence.tables.brokers} (broker_id, heartbeat_at, expires_at)
+    VALUES (?, ${NOW}, ${NOW} + ?)
+    ON DUPLICATE KEY UPDATE heartbeat_at = VALUES(heartbeat_at), expires_at = VALUES(expires_at)
+  `, [brokerId, this.timeout])
+  this._lastId = brokerId
+
+  if (rows.length > 0 && Number(rows[0].expired) === 1) {
+    await this._resume(brokerId)
+  }
+}
+
+// The heartbeat resumed after it expired: the sweeper may have disconnected
+// the sessions of the clients still connected to this broker, see
+// _sweepSessions in lib/sweeper.js. They are connected again.
+Heartbeat.prototype._resume = async function (brokerId) {
+  const broker = this.persistence.broker
+  const clientIds = broker && broker.clients ? Object.keys(broker.clients) : []
+
+  for (let i = 0; i < clientIds.length; i += RESUME_BATCH) {
+    await this.persistence._primary().query(`
+      UPDATE ${this.persistence.tables.sessions}
+      SET disconnected_at = NULL, expires_at = NULL
+      WHERE broker_id = ? AND client_id IN (?) AND disconnected_at IS NOT NULL
+    `, [brokerId, clientIds.slice(i, i + RESUME_BATCH)])
+  }
+}
+
+// Stop beating and expire the heartbeat, so the other brokers take over
+// the wills of this one right away
+Heartbeat.prototype.stop = function (cb) {
+  this._stopped = true
+
+  if (this._timer) {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  Promise.resolve(this._beating)
+    .then(() => {
+      if (this._lastId === null) {
+        return
+      }
+      return this.persistence._primary().query(
+        `UPDATE ${this.persistence.tables.brokers} SET expires_at = ${NOW} WHERE broker_id = ?`,
+        [this._lastId]
+      )
+    })
+    .then(() => cb(), () => cb())
+}
+
+Heartbeat.NOW = NOW
+// Grace of the default timeout, for brokers without a heartbeat
+Heartbeat.DEFAULT_GRACE = DEFAULT_INTERVAL * 3 * 1000
+
+module.exports = Heartbeat
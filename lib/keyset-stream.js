@@ -0,0 +1,84 @@
+'use strict'
+
+const { Readable } = require('stream')
+const util = require('util')
+
+const DEFAULT_BATCH_SIZE = 100
+
+// Object stream reading a table page by page with keyset pagination
+// (WHERE key > last ORDER BY key LIMIT n). A page is only fetched when
+// the consumer asks for more data, and a pooled connection is only held
+// while a page is being fetched, so pausing or destroying the stream
+// keeps neither rows nor connections.
+//
+// opts.fetch(lastKey, limit) resolves to the rows of the next page,
+// lastKey being undefined for the first one. opts.key(row) returns the
+// pagination key of a row, and opts.map(row) the object to push, or null
+// to skip the row.
+function KeysetStream (opts) {
+  if (!(this instanceof KeysetStream)) {
+    return new KeysetStream(opts)
+  }
+
+  Readable.call(this, {
+    objectMode: true,
+    highWaterMark: opts.highWaterMark
+  })
+
+  this._fetch = opts.fetch
+  this._key = opts.key || (row => row.id)
+  this._map = opts.map
+  this._limit = opts.batchSize || DEFAULT_BATCH_SIZE
+
+  this._lastKey = undefined
+  this._rows = []
+  this._index = 0
+  this._fetching = false
+  this._lastPage = false
+}
+
+util.inherits(KeysetStream, Readable)
+
+KeysetStream.prototype._read = function () {
+  while (this._index < this._rows.length) {
+    const item = this._map(this._rows[this._index++])
+    if (item !== null && !this.push(item)) {
+      return
+    }
+  }
+
+  if (this._lastPage) {
+    this.push(null)
+    return
+  }
+
+  // A consumer may destroy the stream from a 'data' handler
+  if (this._fetching || this.destroyed) {
+    return
+  }
+
+  this._fetching = true
+  this._fetch(this._lastKey, this._limit)
+    .then((rows) => {
+      this._fetching = false
+      if (this.destroyed) {
+        return
+      }
+
+      this._lastPage = rows.length < this._limit
+      if (rows.length > 0) {
+        this._lastKey = this._key(rows[rows.length - 1])
+      }
+      this._rows = rows
+      this._index = 0
+      this._read()
+    })
+    .catch((err) => this.destroy(err))
+}
+
+KeysetStream.prototype._destroy = function (err, cb) {
+  this._rows = []
+  cb(err)
+}
+
+module.exports = KeysetStream
@@ -0,0 +1,330 @@
+'use strict'
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5] // seconds
+const DEFAULT_REFRESH_INTERVAL = 30 // seconds
+const DEFAULT_PREFIX = 'aedes_mysql_'
+
+// Public methods calling back once, and methods returning a stream
+const CALLBACK_METHODS = [
+  'storeRetained',
+  'addSubscriptions',
+  'removeSubscriptions',
+  'subscriptionsByClient',
+  'countOffline',
+  'subscriptionsByTopic',
+  'cleanSubscriptions',
+  'outgoingEnqueueCombi',
+  'outgoingUpdate',
+  'outgoingClearMessageId',
+  'incomingStorePacket',
+  'incomingGetPacket',
+  'incomingDelPacket',
+  'putWill',
+  'getWill',
+  'delWill',
+  'putSession',
+  'disconnectSession',
+  'getSession'
+]
+const STREAM_METHODS = [
+  'createRetainedStreamCombi',
+  'outgoingStream',
+  'streamWill',
+  'getClientList'
+]
+
+// Opt-in metrics of a persistence instance: latency histograms and error
+// counters per method, rows read by each stream, pool usage, and gauges of
+// the outgoing queue and of the retained messages, refreshed on a timer.
+function Metrics (persistence, opts) {
+  if (!(this instanceof Metrics)) {
+    return new Metrics(persistence, opts)
+  }
+
+  opts = opts || {}
+  this.persistence = persistence
+  this.buckets = (opts.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b)
+  this.refreshInterval = (opts.refreshInterval || DEFAULT_REFRESH_INTERVAL) * 1000
+  this.prefix = opts.prefix === undefined ? DEFAULT_PREFIX : opts.prefix
+
+  // method -> { count, sum, buckets: [count per bucket] }
+  this.latency = new Map()
+  // method -> Map ( code -> count )
+  this.errors = new Map()
+  // method -> rows
+  this.streamRows = new Map()
+  this.gauges = {
+    outgoingQueueDepth: null,
+    outgoingClients: null,
+    retainedMessages: null,
+    refreshedAt: null
+  }
+
+  this._timer = null
+  this._refreshing = null
+  this._stopped = true
+}
+
+// Wrap the public methods of the persistence instance to measure them
+Metrics.prototype.instrument = function () {
+  const persistence = this.persistence
+  const metrics = this
+
+  for (const method of CALLBACK_METHODS) {
+    const original = persistence[method]
+    persistence[method] = function () {
+      // Calls made before setup are measured when they are replayed
+      if (!persistence.ready) {
+        return original.apply(this, arguments)
+      }
+
+      const args = Array.from(arguments)
+      const index = args.length - 1
+      const cb = args[index]
+      if (typeof cb !== 'function') {
+        return original.apply(this, args)
+      }
+
+      const start = process.hrtime.bigint()
+      args[index] = function (err) {
+        metrics.record(method, start, err)
+        return cb.apply(this, arguments)
+      }
+      return original.apply(this, args)
+    }
+  }
+
+  for (const method of STREAM_METHODS) {
+    const original = persistence[method]
+    persistence[method] = function () {
+      if (!persistence.ready) {
+        return original.apply(this, arguments)
+      }
+
+      const stream = original.apply(this, arguments)
+      const start = process.hrtime.bigint()
+      let rows = 0
+      let done = false
+
+      // Count rows as they are pushed: a 'data' listener would switch the
+      // stream to flowing mode before its consumer is attached
+      const push = stream.push
+      stream.push = function (chunk) {
+        if (chunk !== null) {
+          rows++
+        }
+        return push.apply(this, arguments)
+      }
+
+      function finish (err) {
+        if (done) {
+          return
+        }
+        done = true
+        metrics.addRows(method, rows)
+        metrics.record(method, start, err)
+      }
+      stream.once('end', () => finish(null))
+      stream.once('error', finish)
+      // Destroyed by its consumer before the end
+      stream.once('close', () => finish(null))
+      return stream
+    }
+  }
+}
+
+Metrics.prototype.record = function (method, start, err) {
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9
+
+  let histogram = this.latency.get(method)
+  if (!histogram) {
+    histogram = { count: 0, sum: 0, buckets: this.buckets.map(() => 0) }
+    this.latency.set(method, histogram)
+  }
+  histogram.count++
+  histogram.sum += seconds
+  for (let i = 0; i < this.buckets.length; i++) {
+    if (seconds <= this.buckets[i]) {
+      histogram.buckets[i]++
+    }
+  }
+
+  if (err) {
+    let codes = this.errors.get(method)
+    if (!codes) {
+      codes = new Map()
+      this.errors.set(method, codes)
+    }
+    const code = err.code || 'UNKNOWN'
+    codes.set(code, (codes.get(code) || 0) + 1)
+  }
+}
+
+Metrics.prototype.addRows = function (method, rows) {
+  this.streamRows.set(method, (this.streamRows.get(method) || 0) + rows)
+}
+
+// Connections of the primary pool. Relies on mysql2 pool internals, which
+// are read defensively.
+Metrics.prototype.pool = function () {
+  const pool = this.persistence.pool && this.persistence.pool.pool
+  if (!pool || !pool._allConnections) {
+    return { active: 0, idle: 0, queued: 0 }
+  }
+
+  const all = pool._allConnections.length
+  const idle = pool._freeConnections.length
+  return {
+    active: all - idle,
+    idle,
+    queued: pool._connectionQueue.length
+  }
+}
+
+Metrics.prototype.start = function () {
+  if (!this._stopped) {
+    return
+  }
+
+  this._stopped = false
+  this._tick()
+}
+
+Metrics.prototype._tick = function () {
+  this._refreshing = this.refresh()
+    .catch((err) => {
+      this.persistence._emitError(err, 'Failed to refresh MySQL metrics:')
+    })
+    .then(() => {
+      this._refreshing = null
+      if (this._stopped) {
+        return
+      }
+      this._timer = setTimeout(() => {
+        this._timer = null
+        this._tick()
+      }, this.refreshInterval)
+      this._timer.unref()
+    })
+}
+
+Metrics.prototype.refresh = async function () {
+  const tables = this.persistence.tables
+  const pool = this.persistence._primary()
+
+  const [[outgoing]] = await pool.query(`
+    SELECT COUNT(*) AS messages, COUNT(DISTINCT client_id) AS clients FROM ${tables.outgoing}
+  `)
+  const [[retained]] = await pool.query(`SELECT COUNT(*) AS messages FROM ${tables.retained}`)
+
+  this.gauges = {
+    outgoingQueueDepth: Number(outgoing.messages),
+    outgoingClients: Number(outgoing.clients),
+    retainedMessages: Number(retained.messages),
+    refreshedAt: new Date()
+  }
+}
+
+Metrics.prototype.stop = function (cb) {
+  this._stopped = true
+
+  if (this._timer) {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  Promise.resolve(this._refreshing).then(() => cb())
+}
+
+Metrics.prototype.snapshot = function () {
+  const methods = {}
+  for (const [method, histogram] of this.latency) {
+    const buckets = {}
+    this.buckets.forEach((le, i) => {
+      buckets[le] = histogram.buckets[i]
+    })
+    methods[method] = { count: histogram.count, sum: histogram.sum, buckets }
+  }
+
+  const errors = {}
+  for (const [method, codes] of this.errors) {
+    errors[method] = Object.fromEntries(codes)
+  }
+
+  return {
+    methods,
+    errors,
+    streamRows: Object.fromEntries(this.streamRows),
+    pool: this.pool(),
+    gauges: { ...this.gauges }
+  }
+}
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function labels (values) {
+  const pairs = Object.keys(values).map(name => `${name}="${escapeLabel(values[name])}"`)
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+// Render the metrics in the Prometheus text exposition format
+Metrics.prototype.prometheus = function () {
+  const name = metric => this.prefix + metric
+  const lines = []
+
+  function header (metric, type, help) {
+    lines.push(`# HELP ${metric} ${help}`)
+    lines.push(`# TYPE ${metric} ${type}`)
+  }
+
+  const duration = name('method_duration_seconds')
+  header(duration, 'histogram', 'Duration of persistence method calls in seconds.')
+  for (const [method, histogram] of this.latency) {
+    this.buckets.forEach((le, i) => {
+      lines.push(`${duration}_bucket${labels({ method, le })} ${histogram.buckets[i]}`)
+    })
+    lines.push(`${duration}_bucket${labels({ method, le: '+Inf' })} ${histogram.count}`)
+    lines.push(`${duration}_sum${labels({ method })} ${histogram.sum}`)
+    lines.push(`${duration}_count${labels({ method })} ${histogram.count}`)
+  }
+
+  const errors = name('errors_total')
+  header(errors, 'counter', 'Failed persistence method calls by error code.')
+  for (const [method, codes] of this.errors) {
+    for (const [code, count] of codes) {
+      lines.push(`${errors}${labels({ method, code })} ${count}`)
+    }
+  }
+
+  const rows = name('stream_rows_total')
+  header(rows, 'counter', 'Rows read by persistence streams.')
+  for (const [method, count] of this.streamRows) {
+    lines.push(`${rows}${labels({ method })} ${count}`)
+  }
+
+  const pool = this.pool()
+  const gauges = [
+    ['pool_active_connections', 'Connections of the pool in use.', pool.active],
+    ['pool_idle_connections', 'Idle connections of the pool.', pool.idle],
+    ['pool_queued_requests', 'Requests waiting for a pool connection.', pool.queued],
+    ['outgoing_queue_depth', 'Packets queued for offline clients.', this.gauges.outgoingQueueDepth],
+    ['outgoing_queue_clients', 'Clients with queued packets.', this.gauges.outgoingClients],
+    ['retained_messages', 'Retained messages stored.', this.gauges.retainedMessages]
+  ]
+  for (const [metric, help, value] of gauges) {
+    if (value === null) {
+      continue
+    }
+    header(name(metric), 'gauge', help)
+    lines.push(`${name(metric)} ${value}`)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+Metrics.CALLBACK_METHODS = CALLBACK_METHODS
+Metrics.STREAM_METHODS = STREAM_METHODS
+
+module.exports = Metrics
@@ -0,0 +1,422 @@
+'use strict'
+
+const MODES = ['auto', 'verify', 'off']
+const DEFAULT_LOCK_TIMEOUT = 60 // seconds
+
+// Ordered list of schema migrations. A released migration must never be
+// changed: append a new one with the next version number instead.
+const migrations = [
+  {
+    version: 1,
+    description: 'create initial tables',
+    up: async function (connection, tables) {
+      // IF NOT EXISTS lets databases created before versioning adopt it
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.subscriptions} (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          client_id VARCHAR(255) NOT NULL,
+          topic VARCHAR(512) NOT NULL,
+          qos TINYINT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_client_id (client_id),
+          INDEX idx_topic (topic),
+          UNIQUE KEY unique_subscription (client_id, topic)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.retained} (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          topic VARCHAR(512) NOT NULL UNIQUE,
+          payload LONGBLOB,
+          qos TINYINT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_topic (topic)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.outgoing} (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          client_id VARCHAR(255) NOT NULL,
+          message_id INT,
+          topic VARCHAR(512) NOT NULL,
+          payload LONGBLOB,
+          qos TINYINT NOT NULL,
+          retain_flag BOOLEAN DEFAULT FALSE,
+          dup_flag BOOLEAN DEFAULT FALSE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_client_id (client_id),
+          INDEX idx_message_id (client_id, message_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.incoming} (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          client_id VARCHAR(255) NOT NULL,
+          message_id INT NOT NULL,
+          topic VARCHAR(512) NOT NULL,
+          payload LONGBLOB,
+          qos TINYINT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_incoming (client_id, message_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.will} (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          client_id VARCHAR(255) NOT NULL UNIQUE,
+          topic VARCHAR(512) NOT NULL,
+          payload LONGBLOB,
+          qos TINYINT NOT NULL,
+          retain_flag BOOLEAN DEFAULT FALSE,
+          broker_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_client_id (client_id),
+          INDEX idx_broker_id (broker_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+    }
+  },
+  {
+    version: 2,
+    description: 'add subscription change log',
+    up: async function (connection, tables) {
+      // client_id is NULL when every subscription must be reloaded
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.subscriptionChanges} (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          origin CHAR(32) NOT NULL,
+          client_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+    }
+  },
+  {
+    version: 3,
+    description: 'store topic levels for indexed wildcard matching',
+    up: async function (connection, tables) {
+      const depth = '1 + CHAR_LENGTH(topic) - CHAR_LENGTH(REPLACE(topic, \'/\', \'\'))'
+
+      await connection.query(`
+        ALTER TABLE ${tables.subscriptions}
+          ADD COLUMN root VARCHAR(512) NOT NULL DEFAULT '',
+          ADD COLUMN depth SMALLINT NOT NULL DEFAULT 0,
+          ADD INDEX idx_root_depth (root(191), depth)
+      `)
+      await connection.query(`
+        UPDATE ${tables.subscriptions}
+        SET root = SUBSTRING_INDEX(topic, '/', 1), depth = ${depth}
+      `)
+
+      await connection.query(`
+        ALTER TABLE ${tables.retained}
+          ADD COLUMN depth SMALLINT NOT NULL DEFAULT 0,
+          ADD INDEX idx_depth (depth)
+      `)
+      await connection.query(`UPDATE ${tables.retained} SET depth = ${depth}`)
+    }
+  },
+  {
+    version: 4,
+    description: 'identify outgoing packets by broker id and counter',
+    up: async function (connection, tables) {
+      await connection.query(`
+        ALTER TABLE ${tables.outgoing}
+          ADD COLUMN cmd VARCHAR(16) NOT NULL DEFAULT 'publish',
+          ADD COLUMN broker_id VARCHAR(255) NULL,
+          ADD COLUMN broker_counter BIGINT NULL,
+          ADD UNIQUE KEY unique_broker_packet (client_id, broker_id, broker_counter)
+      `)
+    }
+  },
+  {
+    version: 5,
+    description: 'track outgoing payload sizes for queue limits',
+    up: async function (connection, tables) {
+      await connection.query(`
+        ALTER TABLE ${tables.outgoing}
+          ADD COLUMN payload_size INT UNSIGNED NOT NULL DEFAULT 0
+      `)
+      await connection.query(`UPDATE ${tables.outgoing} SET payload_size = COALESCE(LENGTH(payload), 0)`)
+    }
+  },
+  {
+    version: 6,
+    description: 'store MQTT 5 properties and message expiry',
+    up: async function (connection, tables) {
+      // expires_at is in epoch milliseconds. Wills only start expiring
+      // once published, so they only get the properties.
+      for (const table of [tables.outgoing, tables.retained, tables.incoming]) {
+        await connection.query(`
+          ALTER TABLE ${table}
+            ADD COLUMN properties MEDIUMTEXT NULL,
+            ADD COLUMN expires_at BIGINT NULL,
+            ADD INDEX idx_expires_at (expires_at)
+        `)
+      }
+      await connection.query(`ALTER TABLE ${tables.will} ADD COLUMN properties MEDIUMTEXT NULL`)
+    }
+  },
+  {
+    version: 7,
+    description: 'add session metadata',
+    up: async function (connection, tables) {
+      // expires_at is in epoch milliseconds, set on disconnect
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.sessions} (
+          client_id VARCHAR(255) NOT NULL PRIMARY KEY,
+          clean_start BOOLEAN NOT NULL DEFAULT TRUE,
+          expiry_interval INT UNSIGNED NOT NULL DEFAULT 0,
+          protocol_version TINYINT NULL,
+          broker_id VARCHAR(255) NULL,
+          connected_at TIMESTAMP NULL,
+          disconnected_at TIMESTAMP NULL,
+          expires_at BIGINT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_broker_id (broker_id),
+          INDEX idx_expires_at (expires_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+    }
+  },
+  {
+    version: 8,
+    description: 'add broker heartbeats and will delay',
+    up: async function (connection, tables) {
+      // Times are in epoch milliseconds of the MySQL server clock
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.brokers} (
+          broker_id VARCHAR(255) NOT NULL PRIMARY KEY,
+          heartbeat_at BIGINT NOT NULL,
+          expires_at BIGINT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_expires_at (expires_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+
+      await connection.query(`
+        ALTER TABLE ${tables.will}
+          ADD COLUMN delay_interval INT UNSIGNED NOT NULL DEFAULT 0,
+          ADD COLUMN disconnected_at BIGINT NULL
+      `)
+    }
+  },
+  {
+    version: 9,
+    description: 'record the compression codec of payloads',
+    up: async function (connection, tables) {
+      // NULL for payloads stored as is, like every existing row
+      for (const table of [tables.retained, tables.outgoing, tables.incoming, tables.will]) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN payload_codec VARCHAR(16) NULL`)
+      }
+    }
+  },
+  {
+    version: 10,
+    description: 'record the encryption key of rows, and encrypted topics',
+    up: async function (connection, tables) {
+      // NULL for rows stored in plaintext, like every existing row
+      await connection.query(`ALTER TABLE ${tables.retained} ADD COLUMN key_id VARCHAR(64) NULL`)
+      for (const table of [tables.outgoing, tables.incoming, tables.will]) {
+        await connection.query(`
+          ALTER TABLE ${table}
+            ADD COLUMN key_id VARCHAR(64) NULL,
+            ADD COLUMN topic_ciphertext BLOB NULL
+        `)
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'share the payload of packets queued for several clients',
+    up: async function (connection, tables) {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.messages} (
+          id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+          payload LONGBLOB,
+          payload_codec VARCHAR(16) NULL,
+          key_id VARCHAR(64) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+
+      // NULL for packets storing their own payload, like every existing row
+      await connection.query(`
+        ALTER TABLE ${tables.outgoing}
+          ADD COLUMN shared_message_id BIGINT UNSIGNED NULL,
+          ADD INDEX idx_shared_message_id (shared_message_id)
+      `)
+    }
+  },
+  {
+    version: 12,
+    description: 'delete empty retained messages, index retained messages by age for eviction',
+    up: async function (connection, tables) {
+      // An empty payload deletes the retained message of its topic. The
+      // encrypted ones are skipped on read instead.
+      await connection.query(`
+        DELETE FROM ${tables.retained}
+        WHERE key_id IS NULL AND (payload IS NULL OR LENGTH(payload) = 0)
+      `)
+      await connection.query(`ALTER TABLE ${tables.retained} ADD INDEX idx_created_at (created_at)`)
+    }
+  },
+  {
+    version: 13,
+    description: 'compare topics case and accent sensitively',
+    up: async function (connection, tables) {
+      // MQTT topics are case sensitive, the default utf8mb4 collations are
+      // not: sport/Tennis and sport/tennis were the same retained message,
+      // and a/B and a/b the same subscription. Topics distinct before stay
+      // distinct, so the unique keys hold.
+      await connection.query(`
+        ALTER TABLE ${tables.subscriptions}
+          MODIFY topic VARCHAR(512) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+          MODIFY root VARCHAR(512) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL DEFAULT ''
+      `)
+      await connection.query(`
+        ALTER TABLE ${tables.retained}
+          MODIFY topic VARCHAR(512) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL
+      `)
+    }
+  },
+  {
+    version: 14,
+    description: 'tell apart outgoing packets of a restarted broker by their content',
+    up: async function (connection, tables) {
+      // aedes counts packets from 0 again when it restarts, so a broker
+      // with a fixed id reuses the counters of the packets still queued.
+      // Rows queued before have no digest, and never collide.
+      await connection.query(`
+        ALTER TABLE ${tables.outgoing}
+          ADD COLUMN packet_digest BINARY(16) NULL,
+          DROP INDEX unique_broker_packet,
+          ADD UNIQUE KEY unique_broker_packet (client_id, broker_id, broker_counter, qos, packet_digest)
+      `)
+    }
+  }
+]
+
+const latestVersion = migrations[migrations.length - 1].version
+
+// Secondary indexes of each table at the latest version, checked by the
+// doctor command of bin/aedes-mysql.js. Keep in sync with the migrations.
+const INDEXES = {
+  subscriptions: ['idx_client_id', 'idx_topic', 'unique_subscription', 'idx_root_depth'],
+  retained: ['topic', 'idx_topic', 'idx_depth', 'idx_expires_at', 'idx_created_at'],
+  outgoing: ['idx_client_id', 'idx_message_id', 'unique_broker_packet', 'idx_expires_at', 'idx_shared_message_id'],
+  messages: [],
+  incoming: ['unique_incoming', 'idx_expires_at'],
+  will: ['client_id', 'idx_client_id', 'idx_broker_id'],
+  sessions: ['idx_broker_id', 'idx_expires_at'],
+  brokers: ['idx_expires_at'],
+  subscriptionChanges: ['idx_created_at'],
+  schemaVersion: []
+}
+
+async function versionTableExists (connection, tables) {
+  const [rows] = await connection.query(`
+    SELECT COUNT(*) AS count FROM information_schema.tables
+    WHERE table_schema = DATABASE() AND table_name = ?
+  `, [tables.schemaVersion])
+  return rows[0].count > 0
+}
+
+async function currentVersion (connection, tables) {
+  const [rows] = await connection.query(`SELECT MAX(version) AS version FROM ${tables.schemaVersion}`)
+  return rows[0].version || 0
+}
+
+// Read the schema version, 0 when the database was never migrated
+async function getVersion (pool, tables) {
+  const connection = await pool.getConnection()
+
+  try {
+    if (!(await versionTableExists(connection, tables))) {
+      return 0
+    }
+    return await currentVersion(connection, tables)
+  } finally {
+    connection.release()
+  }
+}
+
+// Fail unless the database is at the version this module expects
+async function verify (pool, tables) {
+  const version = await getVersion(pool, tables)
+
+  if (version < latestVersion) {
+    throw new Error(`MySQL persistence schema is at version ${version}, version ${latestVersion} is required`)
+  }
+
+  return version
+}
+
+// Advisory lock names are server wide and limited to 64 characters, so
+// the lock is keyed on a hash of the database and version table names
+const LOCK_NAME = 'CONCAT(\'aedes_migrate:\', SHA1(CONCAT(DATABASE(), \'.\', ?)))'
+
+// Apply every pending migration. An advisory lock keeps brokers starting
+// together from migrating the same tables concurrently.
+async function migrate (pool, tables, opts) {
+  opts = opts || {}
+  const lockTimeout = opts.lockTimeout || DEFAULT_LOCK_TIMEOUT
+  const connection = await pool.getConnection()
+
+  try {
+    const [rows] = await connection.query(
+      `SELECT GET_LOCK(${LOCK_NAME}, ?) AS locked`,
+      [tables.schemaVersion, lockTimeout]
+    )
+    if (rows[0].locked !== 1) {
+      throw new Error('Timed out waiting for the MySQL persistence migration lock')
+    }
+
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${tables.schemaVersion} (
+          version INT NOT NULL PRIMARY KEY,
+          description VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `)
+
+      const from = await currentVersion(connection, tables)
+      const applied = []
+
+      for (const migration of migrations) {
+        if (migration.version <= from) {
+          continue
+        }
+
+        await migration.up(connection, tables)
+        await connection.query(
+          `INSERT INTO ${tables.schemaVersion} (version, description) VALUES (?, ?)`,
+          [migration.version, migration.description]
+        )
+        applied.push(migration.version)
+      }
+
+      return { from, to: Math.max(from, latestVersion), applied }
+    } finally {
+      await connection.query(`SELECT RELEASE_LOCK(${LOCK_NAME})`, [tables.schemaVersion])
+    }
+  } finally {
+    connection.release()
+  }
+}
+
+module.exports = {
+  MODES,
+  migrations,
+  latestVersion,
+  INDEXES,
+  getVersion,
+  verify,
+  migrate
+}
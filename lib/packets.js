@@ -0,0 +1,135 @@
+'use strict'
+
+// Packets stored in table rows, and the SQL conditions selecting them
+
+const crypto = require('crypto')
+const topics = require('./topic')
+const properties = require('./properties')
+
+// SQL condition selecting the retained topics a filter may match, using the
+// topic and depth indexes. Rows still have to be checked with topics.matches.
+function retainedCondition (filter) {
+  const levels = filter.split('/')
+  const prefix = topics.literalPrefix(filter)
+
+  if (prefix === filter) {
+    return { sql: 'topic = ?', params: [filter] }
+  }
+
+  const conditions = []
+  const params = []
+
+  if (levels[levels.length - 1] === '#') {
+    conditions.push('depth >= ?')
+    params.push(levels.length - 1)
+
+    // 'sport/#' also matches its parent level 'sport'
+    if (prefix !== '' && prefix.length === filter.length - 1) {
+      conditions.push('(topic LIKE ? OR topic = ?)')
+      params.push(topics.escapeLike(prefix) + '%', prefix.slice(0, -1))
+    } else if (prefix !== '') {
+      conditions.push('topic LIKE ?')
+      params.push(topics.escapeLike(prefix) + '%')
+    }
+  } else {
+    conditions.push('depth = ?')
+    params.push(levels.length)
+
+    if (prefix !== '') {
+      conditions.push('topic LIKE ?')
+      params.push(topics.escapeLike(prefix) + '%')
+    }
+  }
+
+  // Wildcards at the first level never match '$SYS/...' style topics
+  if (prefix === '') {
+    conditions.push('topic NOT LIKE \'$%\'')
+  }
+
+  return { sql: '(' + conditions.join(' AND ') + ')', params }
+}
+
+// SQL condition skipping packets whose message expiry interval elapsed
+const NOT_EXPIRED = '(expires_at IS NULL OR expires_at > ?)'
+
+// Rows of the outgoing table, with the payload they share when their packet
+// was queued for several clients, see _insertOutgoing in index.js. The
+// messages table also has an id column, conditions on it name the table.
+function outgoingRows (tables) {
+  return `
+    SELECT ${tables.outgoing}.*, shared.payload AS shared_payload,
+      shared.payload_codec AS shared_payload_codec, shared.key_id AS shared_key_id
+    FROM ${tables.outgoing}
+    LEFT JOIN ${tables.messages} AS shared ON shared.id = ${tables.outgoing}.shared_message_id
+  `
+}
+
+const DIGEST_LENGTH = 16 // bytes, the packet_digest column
+
+// Digest of the topic and payload of a packet identified by its broker id
+// and counter, or null. A broker restarted with the same id counts from 0
+// again, so its new packets are only told apart from those it queued before
+// by their content. Salted with the broker id and counter, so equal
+// payloads of different packets do not look alike.
+function packetDigest (packet) {
+  if (packet.brokerId === undefined || packet.brokerCounter === undefined) {
+    return null
+  }
+  return crypto.createHash('sha256')
+    .update(`${packet.brokerId}\0${packet.brokerCounter}\0${packet.topic || ''}\0`)
+    .update(packet.payload || '')
+    .digest()
+    .subarray(0, DIGEST_LENGTH)
+}
+
+// Add the MQTT 5 properties of a row to the packet read from it, if any
+function withProperties (packet, row, now) {
+  const stored = properties.fromRow(row, now)
+  if (stored) {
+    packet.properties = stored
+  }
+  return packet
+}
+
+// Packet stored in a row of the outgoing table
+function outgoingPacket (row, now) {
+  if (row.cmd === 'pubrel') {
+    return withProperties({
+      cmd: row.cmd,
+      messageId: row.message_id,
+      brokerId: row.broker_id === null ? undefined : row.broker_id,
+      brokerCounter: row.broker_counter === null ? undefined : row.broker_counter
+    }, row, now)
+  }
+
+  return withProperties({
+    cmd: row.cmd,
+    messageId: row.message_id === null ? undefined : row.message_id,
+    topic: row.topic,
+    payload: row.payload,
+    qos: row.qos,
+    retain: !!row.retain_flag,
+    dup: !!row.dup_flag,
+    brokerId: row.broker_id === null ? undefined : row.broker_id,
+    brokerCounter: row.broker_counter === null ? undefined : row.broker_counter
+  }, row, now)
+}
+
+// Retained message stored in a row of the retained table
+function retainedPacket (row, now) {
+  return withProperties({
+    topic: row.topic,
+    payload: row.payload,
+    qos: row.qos
+  }, row, now)
+}
+
+module.exports = {
+  NOT_EXPIRED,
+  retainedCondition,
+  outgoingRows,
+  packetDigest,
+  withProperties,
+  outgoingPacket,
+  retainedPacket
+}
@@ -0,0 +1,128 @@
+'use strict'
+
+// Call a callback method of the persistence, resolving with the values it
+// passes to its callback, as an array
+function call (persistence, method, args) {
+  return new Promise((resolve, reject) => {
+    persistence[method](...args, (err, ...values) => {
+      if (err) {
+        return reject(err)
+      }
+      resolve(values)
+    })
+  })
+}
+
+// Methods resolving with nothing but the arguments they were given
+const WRITES = [
+  'storeRetained',
+  'addSubscriptions',
+  'removeSubscriptions',
+  'cleanSubscriptions',
+  'outgoingEnqueue',
+  'outgoingEnqueueCombi',
+  'incomingStorePacket',
+  'incomingDelPacket',
+  'putWill',
+  'delWill',
+  'putSession',
+  'disconnectSession'
+]
+
+// Methods returning a stream, which is async-iterable
+const STREAMS = [
+  'createRetainedStream',
+  'createRetainedStreamCombi',
+  'outgoingStream',
+  'streamWill',
+  'getClientList',
+  'exportSnapshot'
+]
+
+// The persistence as promises, as instance.promises: every method of the
+// callback API returns a promise of a single, structured result, and
+// stream methods return a stream to read with `for await`. Calls made
+// before setup finished wait for it, like the callback methods.
+function Promises (persistence) {
+  if (!(this instanceof Promises)) {
+    return new Promises(persistence)
+  }
+
+  this.persistence = persistence
+}
+
+for (const method of WRITES) {
+  Promises.prototype[method] = function (...args) {
+    return call(this.persistence, method, args).then(() => {})
+  }
+}
+
+for (const method of STREAMS) {
+  Promises.prototype[method] = function (...args) {
+    return this.persistence[method](...args)
+  }
+}
+
+// [{ topic, qos }]
+Promises.prototype.subscriptionsByClient = function (client) {
+  return call(this.persistence, 'subscriptionsByClient', [client])
+    .then(([subscriptions]) => subscriptions)
+}
+
+// { subscriptions, clients }
+Promises.prototype.countOffline = function () {
+  return call(this.persistence, 'countOffline', [])
+    .then(([subscriptions, clients]) => ({ subscriptions, clients }))
+}
+
+// [{ clientId, topic, qos }]
+Promises.prototype.subscriptionsByTopic = function (pattern) {
+  return call(this.persistence, 'subscriptionsByTopic', [pattern])
+    .then(([subscriptions]) => subscriptions)
+}
+
+// The packet, with the messageId it was given
+Promises.prototype.outgoingUpdate = function (client, packet) {
+  return call(this.persistence, 'outgoingUpdate', [client, packet])
+    .then(([, updated]) => updated)
+}
+
+// The packet cleared, or undefined if it was not queued
+Promises.prototype.outgoingClearMessageId = function (client, packet) {
+  return call(this.persistence, 'outgoingClearMessageId', [client, packet])
+    .then(([cleared]) => cleared)
+}
+
+// The packet, rejecting if it is not stored
+Promises.prototype.incomingGetPacket = function (client, packet) {
+  return call(this.persistence, 'incomingGetPacket', [client, packet])
+    .then(([stored]) => stored)
+}
+
+// The will, or null
+Promises.prototype.getWill = function (client) {
+  return call(this.persistence, 'getWill', [client])
+    .then(([will]) => will)
+}
+
+// The session, or null
+Promises.prototype.getSession = function (client) {
+  return call(this.persistence, 'getSession', [client])
+    .then(([session]) => session)
+}
+
+// The number of rows removed from each table
+Promises.prototype.sweep = function () {
+  return call(this.persistence, 'sweep', [])
+    .then(([removed]) => removed)
+}
+
+Promises.prototype.importSnapshot = function (input, opts) {
+  return this.persistence.importSnapshot(input, opts)
+}
+
+Promises.prototype.destroy = function () {
+  return call(this.persistence, 'destroy', []).then(() => {})
+}
+
+module.exports = Promises
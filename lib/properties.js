@@ -0,0 +1,68 @@
+'use strict'
+
+// MQTT 5 packet properties are stored as JSON in a properties column.
+// Binary values, e.g. correlationData, are stored as { $buffer: base64 }.
+
+function encode (properties) {
+  if (!properties || Object.keys(properties).length === 0) {
+    return null
+  }
+
+  return JSON.stringify(properties, function (key, value) {
+    // JSON.stringify calls Buffer#toJSON before the replacer, so look at
+    // the original value
+    const original = this[key]
+    if (Buffer.isBuffer(original)) {
+      return { $buffer: original.toString('base64') }
+    }
+    return value
+  })
+}
+
+function decode (text) {
+  if (text === null || text === undefined) {
+    return undefined
+  }
+
+  return JSON.parse(text, function (key, value) {
+    if (value !== null && typeof value === 'object' && typeof value.$buffer === 'string' &&
+        Object.keys(value).length === 1) {
+      return Buffer.from(value.$buffer, 'base64')
+    }
+    return value
+  })
+}
+
+// Time in epoch milliseconds after which a packet must not be delivered,
+// from its message expiry interval in seconds, or null if it never expires
+function expiresAt (packet, now) {
+  const interval = packet.properties && packet.properties.messageExpiryInterval
+  if (typeof interval !== 'number') {
+    return null
+  }
+  return now + interval * 1000
+}
+
+function expired (expiry, now) {
+  return expiry !== null && expiry !== undefined && Number(expiry) <= now
+}
+
+// Properties to return for a stored row: MQTT 5 requires the message expiry
+// interval to be lowered by the time the packet waited
+function fromRow (row, now) {
+  const properties = decode(row.properties)
+  if (!properties || row.expires_at === null || row.expires_at === undefined) {
+    return properties
+  }
+
+  properties.messageExpiryInterval = Math.max(Math.ceil((Number(row.expires_at) - now) / 1000), 0)
+  return properties
+}
+
+module.exports = {
+  encode,
+  decode,
+  expiresAt,
+  expired,
+  fromRow
+}
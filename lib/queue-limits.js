@@ -0,0 +1,96 @@
+'use strict'
+
+const POLICIES = ['drop-oldest', 'drop-new', 'error']
+
+// Limits on the offline queue of each client, from the queueLimits option:
+// maxMessages and maxBytes (0 or unset for no limit), the overflow policy,
+// and an optional forClient(clientId, cb) callback returning per-client
+// overrides.
+function QueueLimits (opts) {
+  if (!(this instanceof QueueLimits)) {
+    return new QueueLimits(opts)
+  }
+
+  opts = opts || {}
+  this.defaults = validate({
+    maxMessages: opts.maxMessages || 0,
+    maxBytes: opts.maxBytes || 0,
+    policy: opts.policy || 'drop-oldest'
+  })
+  this.forClient = opts.forClient || null
+}
+
+function validate (limits) {
+  if (!POLICIES.includes(limits.policy)) {
+    throw new Error(`Invalid queue overflow policy "${limits.policy}", expected one of: ${POLICIES.join(', ')}`)
+  }
+  return limits
+}
+
+// Resolve the limits of some clients, as a Map ( clientId -> limits )
+QueueLimits.prototype.resolve = function (clientIds) {
+  const limits = new Map()
+
+  if (!this.forClient) {
+    for (const clientId of clientIds) {
+      limits.set(clientId, this.defaults)
+    }
+    return Promise.resolve(limits)
+  }
+
+  return Promise.all(clientIds.map(clientId => new Promise((resolve, reject) => {
+    this.forClient(clientId, (err, overrides) => {
+      if (err) {
+        return reject(err)
+      }
+      try {
+        limits.set(clientId, validate({ ...this.defaults, ...overrides }))
+        resolve()
+      } catch (err) {
+        reject(err)
+      }
+    })
+  }))).then(() => limits)
+}
+
+// Decide what happens to a packet of `size` bytes enqueued for each client,
+// given their current usage ( clientId -> { messages, bytes } ):
+// - accept: clients the packet is queued for
+// - trim: clients whose oldest messages must first be dropped, with how
+//   many messages and bytes to free at least
+// - drop: clients the packet is not queued for
+// - reject: clients for which enqueueing fails
+function plan (clientIds, size, usage, limits) {
+  const result = { accept: [], trim: [], drop: [], reject: [] }
+
+  for (const clientId of clientIds) {
+    const { maxMessages, maxBytes, policy } = limits.get(clientId)
+    const current = usage.get(clientId) || { messages: 0, bytes: 0 }
+
+    const excessMessages = maxMessages > 0 ? current.messages + 1 - maxMessages : 0
+    const excessBytes = maxBytes > 0 ? current.bytes + size - maxBytes : 0
+
+    if (excessMessages <= 0 && excessBytes <= 0) {
+      result.accept.push(clientId)
+    } else if (policy === 'error') {
+      result.reject.push(clientId)
+    } else if (policy === 'drop-new' || (maxBytes > 0 && size > maxBytes)) {
+      // A packet larger than the whole queue can never fit
+      result.drop.push(clientId)
+    } else {
+      result.trim.push({
+        clientId,
+        messages: Math.max(excessMessages, 0),
+        bytes: Math.max(excessBytes, 0)
+      })
+      result.accept.push(clientId)
+    }
+  }
+
+  return result
+}
+
+QueueLimits.POLICIES = POLICIES
+QueueLimits.plan = plan
+
+module.exports = QueueLimits
@@ -0,0 +1,163 @@
+'use strict'
+
+const mysql = require('mysql2/promise')
+const connection = require('./connection')
+
+const DEFAULT_CHECK_INTERVAL = 5 // seconds
+
+// Read methods that may be routed to a replica. Reads that tolerate lag
+// default to the replicas, those needing read-your-writes to the primary:
+// aedes looks up subscriptions and wills right after changing them.
+const ROUTING = {
+  createRetainedStreamCombi: 'replica',
+  countOffline: 'replica',
+  getClientList: 'replica',
+  subscriptionsByTopic: 'primary',
+  subscriptionsByClient: 'primary',
+  streamWill: 'primary'
+}
+const TARGETS = ['primary', 'replica']
+
+function validate (routing) {
+  for (const method of Object.keys(routing)) {
+    if (!Object.prototype.hasOwnProperty.call(ROUTING, method)) {
+      throw new Error(`Unknown read method "${method}", expected one of: ${Object.keys(ROUTING).join(', ')}`)
+    }
+    if (!TARGETS.includes(routing[method])) {
+      throw new Error(`Invalid read routing "${routing[method]}" for ${method}, expected one of: ${TARGETS.join(', ')}`)
+    }
+  }
+  return routing
+}
+
+function connectionConfig (persistence, replica) {
+  if (replica.url) {
+    return connection.connectionConfig(replica)
+  }
+  return connection.connectionConfig({ ...persistence.connectionConfig, ...replica })
+}
+
+// Read replicas from the replicas option: an array of connection options,
+// merged over those of the primary unless they have their own url, or of
+// { pool } with an existing pool.
+//
+// Replicas are used in turn; one failing a query or a health check is
+// skipped until a health check succeeds again, and reads go to the primary
+// while no replica is healthy.
+function ReplicaSet (persistence, replicas, opts) {
+  if (!(this instanceof ReplicaSet)) {
+    return new ReplicaSet(persistence, replicas, opts)
+  }
+
+  opts = opts || {}
+  this.persistence = persistence
+  this.routing = { ...ROUTING, ...validate(opts.readRouting || {}) }
+  this.checkInterval = (opts.replicaCheckInterval || DEFAULT_CHECK_INTERVAL) * 1000
+
+  this.replicas = replicas.map((replica, index) => ({
+    index,
+    options: replica,
+    connectionConfig: replica.pool ? null : connectionConfig(persistence, replica),
+    pool: null,
+    ownPool: !replica.pool,
+    healthy: true
+  }))
+
+  this._next = 0
+  this._timer = null
+  this._checking = null
+  this._stopped = true
+}
+
+// Create the pools of the replicas, lazily connected by mysql2
+ReplicaSet.prototype.connect = function () {
+  const primary = this.persistence.options
+  for (const replica of this.replicas) {
+    replica.pool = replica.ownPool
+      ? mysql.createPool({ ...replica.connectionConfig, ...connection.poolConfig({ ...primary, ...replica.options }) })
+      : connection.promisePool(replica.options.pool)
+  }
+}
+
+// Replica to send a read of `method` to, or null for the primary
+ReplicaSet.prototype.pick = function (method) {
+  if (this.routing[method] !== 'replica') {
+    return null
+  }
+
+  for (let i = 0; i < this.replicas.length; i++) {
+    const replica = this.replicas[(this._next + i) % this.replicas.length]
+    if (replica.healthy && replica.pool) {
+      this._next = (replica.index + 1) % this.replicas.length
+      return replica
+    }
+  }
+  return null
+}
+
+ReplicaSet.prototype.failed = function (replica, err) {
+  if (!replica.healthy) {
+    return
+  }
+  replica.healthy = false
+  this.persistence.emit('replicaDown', { replica: replica.index, error: err })
+}
+
+ReplicaSet.prototype.recovered = function (replica) {
+  if (replica.healthy) {
+    return
+  }
+  replica.healthy = true
+  this.persistence.emit('replicaUp', { replica: replica.index })
+}
+
+ReplicaSet.prototype.start = function () {
+  if (!this._stopped) {
+    return
+  }
+
+  this._stopped = false
+  this._schedule()
+}
+
+ReplicaSet.prototype._schedule = function () {
+  if (this._stopped) {
+    return
+  }
+
+  this._timer = setTimeout(() => {
+    this._timer = null
+    this._checking = this.check()
+      .then(() => {
+        this._checking = null
+        this._schedule()
+      })
+  }, this.checkInterval)
+  this._timer.unref()
+}
+
+// Check every replica, never rejects
+ReplicaSet.prototype.check = function () {
+  return Promise.all(this.replicas.map((replica) => replica.pool.query('SELECT 1')
+    .then(() => this.recovered(replica), (err) => this.failed(replica, err))))
+}
+
+// Stop the health checks and close the pools created for the replicas
+ReplicaSet.prototype.stop = function (cb) {
+  this._stopped = true
+
+  if (this._timer) {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  Promise.resolve(this._checking)
+    .then(() => Promise.all(this.replicas
+      .filter(replica => replica.ownPool && replica.pool)
+      .map(replica => replica.pool.end().catch(() => {}))))
+    .then(() => cb())
+}
+
+ReplicaSet.ROUTING = ROUTING
+
+module.exports = ReplicaSet
@@ -0,0 +1,65 @@
+'use strict'
+
+const topics = require('./topic')
+
+const POLICIES = ['reject', 'evict']
+
+function limitError (limit, message) {
+  const err = new Error(message)
+  err.code = 'RETAINED_LIMIT'
+  err.limit = limit
+  return err
+}
+
+// Limits on retained messages, from the retainedLimits option: maxCount
+// messages in total, maxPayloadSize bytes per payload and maxDepth topic
+// levels (0 or unset for no limit). A message on a new topic exceeding
+// maxCount fails with the 'reject' policy, and makes room by deleting the
+// least recently stored messages with 'evict'. Eviction cannot make a
+// message fit the other limits, so those always reject.
+function RetainedLimits (opts) {
+  if (!(this instanceof RetainedLimits)) {
+    return new RetainedLimits(opts)
+  }
+
+  opts = opts || {}
+  this.maxCount = opts.maxCount || 0
+  this.maxPayloadSize = opts.maxPayloadSize || 0
+  this.maxDepth = opts.maxDepth || 0
+  this.policy = opts.policy || 'reject'
+
+  if (!POLICIES.includes(this.policy)) {
+    throw new Error(`Invalid retained limit policy "${this.policy}", expected one of: ${POLICIES.join(', ')}`)
+  }
+}
+
+// The error storing a message on topic with a payload of size bytes fails
+// with, or null if it is within the limits that do not depend on the
+// stored messages
+RetainedLimits.prototype.check = function (topic, size) {
+  if (this.maxPayloadSize > 0 && size > this.maxPayloadSize) {
+    return limitError('maxPayloadSize', `Retained payload of ${size} bytes exceeds ${this.maxPayloadSize} bytes: ${topic}`)
+  }
+  const depth = topics.levels(topic).depth
+  if (this.maxDepth > 0 && depth > this.maxDepth) {
+    return limitError('maxDepth', `Retained topic of ${depth} levels exceeds ${this.maxDepth} levels: ${topic}`)
+  }
+  return null
+}
+
+// How many stored messages must go for `added` messages on new topics to
+// fit, given the `count` stored. Throws with the 'reject' policy.
+RetainedLimits.prototype.excess = function (count, added) {
+  const excess = this.maxCount > 0 ? count + added - this.maxCount : 0
+  if (excess <= 0) {
+    return 0
+  }
+  if (this.policy === 'reject') {
+    throw limitError('maxCount', `Retained messages limit of ${this.maxCount} reached`)
+  }
+  return excess
+}
+
+RetainedLimits.POLICIES = POLICIES
+
+module.exports = RetainedLimits
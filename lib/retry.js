@@ -0,0 +1,87 @@
+'use strict'
+
+const DEFAULT_ATTEMPTS = 3
+const DEFAULT_MIN_DELAY = 50 // milliseconds
+const DEFAULT_MAX_DELAY = 2000 // milliseconds
+
+// Errors worth trying again: the statement was rolled back or the
+// connection was lost, typically during a failover
+const RETRYABLE_CODES = [
+  'ER_LOCK_DEADLOCK',
+  'ER_LOCK_WAIT_TIMEOUT',
+  'PROTOCOL_CONNECTION_LOST',
+  'PROTOCOL_SEQUENCE_TIMEOUT',
+  'ER_CON_COUNT_ERROR',
+  'ER_SERVER_SHUTDOWN',
+  'ER_OPTION_PREVENTS_STATEMENT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE'
+]
+
+// Runs queries again when they fail with a retryable error, waiting an
+// exponential backoff with full jitter between attempts: a random delay
+// up to minDelay * 2 ^ attempt, capped at maxDelay.
+//
+// Every statement of the persistence is idempotent, or runs in a
+// transaction retried as a whole, so running it again is safe.
+function Retry (opts) {
+  if (!(this instanceof Retry)) {
+    return new Retry(opts)
+  }
+
+  opts = opts || {}
+  this.attempts = opts.attempts || DEFAULT_ATTEMPTS
+  this.minDelay = opts.minDelay || DEFAULT_MIN_DELAY
+  this.maxDelay = opts.maxDelay || DEFAULT_MAX_DELAY
+  this.codes = opts.codes || RETRYABLE_CODES
+}
+
+Retry.prototype.retryable = function (err) {
+  return !!err && this.codes.includes(err.code)
+}
+
+Retry.prototype.delay = function (attempt) {
+  const cap = Math.min(this.maxDelay, this.minDelay * Math.pow(2, attempt))
+  return Math.floor(Math.random() * cap)
+}
+
+// Run fn until it succeeds, fails with an error that is not retryable, or
+// runs out of attempts. breaker is an optional CircuitBreaker.
+Retry.prototype.run = async function (fn, breaker) {
+  for (let attempt = 0; ; attempt++) {
+    if (breaker && !breaker.allow()) {
+      throw breaker.openError()
+    }
+
+    try {
+      const result = await fn()
+      if (breaker) {
+        breaker.success()
+      }
+      return result
+    } catch (err) {
+      const retryable = this.retryable(err)
+      // Any other error means the database answered
+      if (breaker) {
+        if (retryable) {
+          breaker.failure()
+        } else {
+          breaker.success()
+        }
+      }
+
+      if (!retryable || attempt + 1 >= this.attempts) {
+        err.attempts = attempt + 1
+        throw err
+      }
+    }
+
+    await new Promise(resolve => setTimeout(resolve, this.delay(attempt)))
+  }
+}
+
+Retry.RETRYABLE_CODES = RETRYABLE_CODES
+
+module.exports = Retry
@@ -0,0 +1,57 @@
+'use strict'
+
+// Session expiry interval of a session that never expires
+const NEVER_EXPIRES = 0xFFFFFFFF
+
+// Session expiry interval in seconds of a connecting client. MQTT 5 clients
+// send it in CONNECT and default to 0. Before MQTT 5 a clean session ends
+// with the connection, and any other session is kept forever.
+function expiryInterval (client, session) {
+  if (typeof session.expiryInterval === 'number') {
+    return Math.min(Math.max(Math.floor(session.expiryInterval), 0), NEVER_EXPIRES)
+  }
+  if (protocolVersion(client, session) === 5) {
+    return 0
+  }
+  return clean(client, session) ? 0 : NEVER_EXPIRES
+}
+
+// Session a client asks for in its CONNECT packet, as putSession takes it.
+// MQTT 5 clients send their expiry interval as a property.
+function fromConnect (packet) {
+  const session = { clean: packet.clean, protocolVersion: packet.protocolVersion }
+  const props = packet.properties
+  if (props && typeof props.sessionExpiryInterval === 'number') {
+    session.expiryInterval = props.sessionExpiryInterval
+  }
+  return session
+}
+
+function clean (client, session) {
+  if (typeof session.clean === 'boolean') {
+    return session.clean
+  }
+  return client.clean !== false
+}
+
+function protocolVersion (client, session) {
+  return session.protocolVersion || client.version || null
+}
+
+// Time in epoch milliseconds at which a session disconnected at `now`
+// expires, or null if it never does
+function expiresAt (interval, now) {
+  if (interval === NEVER_EXPIRES) {
+    return null
+  }
+  return now + interval * 1000
+}
+
+module.exports = {
+  NEVER_EXPIRES,
+  expiryInterval,
+  fromConnect,
+  clean,
+  protocolVersion,
+  expiresAt
+}
@@ -0,0 +1,679 @@
+'use strict'
+
+const readline = require('readline')
+const { Readable } = require('stream')
+const topics = require('./topic')
+const properties = require('./properties')
+const { outgoingRows, packetDigest } = require('./packets')
+
+// Snapshots are NDJSON: a header line, then one record per line:
+//
+//   { "format": "aedes-persistence-snapshot", "version": 1, "exportedAt": "...", "source": "..." }
+//   { "type": "subscription", "clientId", "topic", "qos" }
+//   { "type": "retained", "topic", "payload", "qos", "properties", "expiresAt" }
+//   { "type": "outgoing", "clientId", "packet", "expiresAt" }
+//   { "type": "incoming", "clientId", "packet", "expiresAt" }
+//   { "type": "will", "clientId", "brokerId", "packet" }
+//
+// Payloads are base64, binary properties are { $buffer: base64 } as in the
+// properties column, and expiresAt is in epoch milliseconds.
+const FORMAT = 'aedes-persistence-snapshot'
+const VERSION = 1
+const MODES = ['merge', 'replace']
+
+const PAGE_SIZE = 500
+// Rows written per statement, bounded by their payloads so a statement
+// stays well below max_allowed_packet
+const BATCH_ROWS = 500
+const BATCH_BYTES = 4 * 1024 * 1024
+
+// Collection of aedes-persistence-mongodb -> record type
+const COLLECTIONS = {
+  subscriptions: 'subscription',
+  retained: 'retained',
+  outgoing: 'outgoing',
+  incoming: 'incoming',
+  will: 'will'
+}
+
+function snapshotError (message) {
+  const err = new Error(message)
+  err.code = 'INVALID_SNAPSHOT'
+  return err
+}
+
+function isText (value) {
+  return typeof value === 'string' && value !== ''
+}
+
+function isQos (value) {
+  return value === 0 || value === 1 || value === 2
+}
+
+function isMissing (value) {
+  return value === undefined || value === null
+}
+
+function isInteger (value) {
+  return Number.isSafeInteger(value) && value >= 0
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Buffer.isBuffer(value) && !Array.isArray(value)
+}
+
+// Why the fields of a packet, or of a retained or subscription record, do
+// not fit the columns they are written to, or null
+function packetProblem (type, packet) {
+  const pubrel = type === 'outgoing' && packet.cmd === 'pubrel'
+  if (type === 'outgoing' && !isMissing(packet.cmd) && packet.cmd !== 'publish' && !pubrel) {
+    return `cmd must be publish or pubrel, not ${JSON.stringify(packet.cmd)}`
+  }
+  if (!pubrel && !isText(packet.topic)) {
+    return 'topic must be a non-empty string'
+  }
+  // Queued packets default to QoS 0, and a PUBREL is identified by its
+  // messageId alone
+  if (!isQos(packet.qos) && !(type === 'outgoing' && isMissing(packet.qos))) {
+    return 'qos must be 0, 1 or 2'
+  }
+  if (!isMissing(packet.payload) && !Buffer.isBuffer(packet.payload) && typeof packet.payload !== 'string') {
+    return 'payload must be a base64 string'
+  }
+  if (!isInteger(packet.messageId) && (type === 'incoming' || pubrel || !isMissing(packet.messageId))) {
+    return 'messageId must be an integer'
+  }
+  if (!isMissing(packet.brokerId) && typeof packet.brokerId !== 'string') {
+    return 'brokerId must be a string'
+  }
+  if (!isMissing(packet.brokerCounter) && !isInteger(packet.brokerCounter)) {
+    return 'brokerCounter must be an integer'
+  }
+  if (!isMissing(packet.properties) && !isObject(packet.properties)) {
+    return 'properties must be an object'
+  }
+  return null
+}
+
+// Why a record cannot be imported, or null
+function recordProblem (record) {
+  if (record.type !== 'retained' && !isText(record.clientId)) {
+    return 'clientId must be a non-empty string'
+  }
+  if (!isMissing(record.expiresAt) && typeof record.expiresAt !== 'number') {
+    return 'expiresAt must be a number'
+  }
+  if (record.type === 'will' && !isMissing(record.brokerId) && typeof record.brokerId !== 'string') {
+    return 'brokerId must be a string'
+  }
+  if (record.type === 'subscription' || record.type === 'retained') {
+    return packetProblem(record.type, record)
+  }
+  if (!isObject(record.packet)) {
+    return 'packet must be an object'
+  }
+  return packetProblem(record.type, record.packet)
+}
+
+function optional (value) {
+  return value === null ? undefined : value
+}
+
+function expiresAtOf (value) {
+  return value === null || value === undefined ? null : Number(value)
+}
+
+// Records are handled with Buffer payloads and decoded properties, and
+// only serialized to JSON in the snapshot text
+function serialize (record) {
+  return JSON.stringify(record, function (key, value) {
+    const original = this[key]
+    if (Buffer.isBuffer(original)) {
+      return key === 'payload' ? original.toString('base64') : { $buffer: original.toString('base64') }
+    }
+    return value
+  })
+}
+
+function deserialize (line) {
+  const record = JSON.parse(line, function (key, value) {
+    if (value !== null && typeof value === 'object' && typeof value.$buffer === 'string' &&
+        Object.keys(value).length === 1) {
+      return Buffer.from(value.$buffer, 'base64')
+    }
+    return value
+  })
+
+  const packet = record.type === 'retained' ? record : record.packet
+  if (packet && typeof packet.payload === 'string') {
+    packet.payload = Buffer.from(packet.payload, 'base64')
+  }
+  return record
+}
+
+// Rows of a table, page by page, decrypted and decompressed. select
+// defaults to all the columns of the table.
+async function * tableRows (persistence, table, select) {
+  select = select || `SELECT * FROM ${table}`
+  let lastId = 0
+  let rows
+  do {
+    [rows] = await persistence._query(`${select} WHERE ${table}.id > ? ORDER BY ${table}.id LIMIT ?`, [lastId, PAGE_SIZE])
+    yield * await persistence._open(rows)
+    if (rows.length > 0) {
+      lastId = rows[rows.length - 1].id
+    }
+  } while (rows.length === PAGE_SIZE)
+}
+
+// Records of everything stored by a MySQL persistence
+async function * mysqlRecords (persistence) {
+  const tables = persistence.tables
+
+  for await (const row of tableRows(persistence, tables.subscriptions)) {
+    yield { type: 'subscription', clientId: row.client_id, topic: row.topic, qos: row.qos }
+  }
+
+  for await (const row of tableRows(persistence, tables.retained)) {
+    yield {
+      type: 'retained',
+      topic: row.topic,
+      payload: row.payload,
+      qos: row.qos,
+      properties: properties.decode(row.properties),
+      expiresAt: expiresAtOf(row.expires_at)
+    }
+  }
+
+  for await (const row of tableRows(persistence, tables.outgoing, outgoingRows(tables))) {
+    yield {
+      type: 'outgoing',
+      clientId: row.client_id,
+      packet: {
+        cmd: row.cmd,
+        messageId: optional(row.message_id),
+        topic: row.topic,
+        payload: optional(row.payload),
+        qos: row.qos,
+        retain: !!row.retain_flag,
+        dup: !!row.dup_flag,
+        brokerId: optional(row.broker_id),
+        brokerCounter: row.broker_counter === null ? undefined : Number(row.broker_counter),
+        properties: properties.decode(row.properties)
+      },
+      expiresAt: expiresAtOf(row.expires_at)
+    }
+  }
+
+  for await (const row of tableRows(persistence, tables.incoming)) {
+    yield {
+      type: 'incoming',
+      clientId: row.client_id,
+      packet: {
+        cmd: 'publish',
+        messageId: row.message_id,
+        topic: row.topic,
+        payload: optional(row.payload),
+        qos: row.qos,
+        properties: properties.decode(row.properties)
+      },
+      expiresAt: expiresAtOf(row.expires_at)
+    }
+  }
+
+  for await (const row of tableRows(persistence, tables.will)) {
+    yield {
+      type: 'will',
+      clientId: row.client_id,
+      brokerId: optional(row.broker_id),
+      packet: {
+        topic: row.topic,
+        payload: optional(row.payload),
+        qos: row.qos,
+        retain: !!row.retain_flag,
+        properties: properties.decode(row.properties)
+      }
+    }
+  }
+}
+
+// Records read from any aedes persistence through its public API, e.g.
+// aedes-persistence (in-memory) or aedes-persistence-mongodb. That API
+// cannot list clients nor incoming packets: the state of the given clients
+// is exported, without their incoming QoS 2 packets.
+async function * persistenceRecords (persistence, clientIds) {
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    persistence[method](...args, (err, result) => err ? reject(err) : resolve(result))
+  })
+
+  for await (const packet of persistence.createRetainedStreamCombi(['#'])) {
+    yield {
+      type: 'retained',
+      topic: packet.topic,
+      payload: packet.payload,
+      qos: packet.qos,
+      properties: packet.properties,
+      expiresAt: properties.expiresAt(packet, Date.now())
+    }
+  }
+
+  for (const clientId of clientIds) {
+    const client = { id: clientId }
+
+    for (const sub of (await call('subscriptionsByClient', client)) || []) {
+      yield { type: 'subscription', clientId, topic: sub.topic, qos: sub.qos }
+    }
+
+    for await (const packet of persistence.outgoingStream(client)) {
+      yield { type: 'outgoing', clientId, packet, expiresAt: properties.expiresAt(packet, Date.now()) }
+    }
+
+    const will = await call('getWill', client)
+    if (will) {
+      yield { type: 'will', clientId, brokerId: will.brokerId, packet: will }
+    }
+  }
+}
+
+// The snapshot text of records, line by line
+async function * ndjson (records, source) {
+  yield JSON.stringify({ format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), source }) + '\n'
+  for await (const record of records) {
+    yield serialize(record) + '\n'
+  }
+}
+
+function exportSnapshot (persistence) {
+  return Readable.from(ndjson(mysqlRecords(persistence), 'aedes-persistence-mysql'))
+}
+
+function exportFrom (persistence, opts) {
+  const clientIds = (opts && opts.clients) || []
+  return Readable.from(ndjson(persistenceRecords(persistence, clientIds), 'aedes-persistence'))
+}
+
+// MongoDB Extended JSON, as written by mongoexport, to plain values
+function fromExtendedJson (value) {
+  if (Array.isArray(value)) {
+    return value.map(fromExtendedJson)
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  if (value.$binary !== undefined) {
+    return Buffer.from(typeof value.$binary === 'string' ? value.$binary : value.$binary.base64, 'base64')
+  }
+  for (const number of ['$numberInt', '$numberLong', '$numberDouble']) {
+    if (value[number] !== undefined) {
+      return Number(value[number])
+    }
+  }
+  if (value.$oid !== undefined) {
+    return value.$oid
+  }
+  if (value.$date !== undefined) {
+    return new Date(fromExtendedJson(value.$date))
+  }
+
+  const result = {}
+  for (const key of Object.keys(value)) {
+    result[key] = fromExtendedJson(value[key])
+  }
+  return result
+}
+
+// A record from a document of an aedes-persistence-mongodb collection.
+// The message expiry interval of its packet, if any, runs from the import.
+function mongoRecord (type, doc) {
+  const packet = doc.packet || doc
+  const expiresAt = properties.expiresAt(packet, Date.now())
+
+  switch (type) {
+    case 'subscription':
+      return { type, clientId: doc.clientId, topic: doc.topic, qos: doc.qos }
+    case 'retained':
+      return { type, topic: packet.topic, payload: packet.payload, qos: packet.qos, properties: packet.properties, expiresAt }
+    case 'will':
+      return { type, clientId: doc.clientId, brokerId: doc.brokerId || packet.brokerId, packet }
+    default:
+      return { type, clientId: doc.clientId, packet, expiresAt }
+  }
+}
+
+// Records of a snapshot, or of a mongoexport file of the collection given
+// as opts.collection. input is a readable stream, a string or a Buffer.
+async function * parse (input, opts) {
+  opts = opts || {}
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    input = Readable.from([input])
+  }
+
+  let mongoType = null
+  if (opts.collection !== undefined) {
+    mongoType = COLLECTIONS[opts.collection]
+    if (!mongoType) {
+      throw new Error(`Unknown collection: ${opts.collection}`)
+    }
+  }
+
+  let lineNumber = 0
+  let header = mongoType !== null
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    lineNumber++
+    if (line.trim() === '') {
+      continue
+    }
+
+    let record
+    try {
+      record = mongoType ? mongoRecord(mongoType, fromExtendedJson(JSON.parse(line))) : deserialize(line)
+    } catch (err) {
+      throw snapshotError(`Invalid JSON on line ${lineNumber} of the snapshot: ${err.message}`)
+    }
+
+    if (!header) {
+      if (record.format !== FORMAT) {
+        throw snapshotError('Not an aedes persistence snapshot, set the collection to import a mongoexport file')
+      }
+      if (record.version > VERSION) {
+        throw snapshotError(`Snapshot version ${record.version} is not supported, up to version ${VERSION} is`)
+      }
+      header = true
+      continue
+    }
+
+    if (!Object.values(COLLECTIONS).includes(record.type)) {
+      throw snapshotError(`Unknown record type on line ${lineNumber} of the snapshot: ${record.type}`)
+    }
+    // Checked before it is written, so an invalid record fails the import
+    // with its line rather than with an error of the database
+    const problem = recordProblem(record)
+    if (problem) {
+      throw snapshotError(`Invalid ${record.type} record on line ${lineNumber} of the snapshot: ${problem}`)
+    }
+    yield record
+  }
+
+  if (!header) {
+    throw snapshotError('Empty snapshot')
+  }
+}
+
+// The packet of a retained record, as storeRetained is given it
+function retainedRecordPacket (record) {
+  const packet = { cmd: 'publish', topic: record.topic, payload: record.payload, qos: record.qos, retain: true }
+  if (record.properties) {
+    packet.properties = record.properties
+  }
+  return packet
+}
+
+function payloadSize (packet) {
+  return packet && packet.payload ? Buffer.byteLength(packet.payload) : 0
+}
+
+function nullable (value) {
+  return value === undefined ? null : value
+}
+
+// Insert statement and row values of each record type
+function writers (tables) {
+  return {
+    subscription: {
+      table: 'subscriptions',
+      sql: `
+        INSERT INTO ${tables.subscriptions} (client_id, topic, root, depth, qos)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE qos = VALUES(qos)
+      `,
+      values: (record) => {
+        const levels = topics.levels(record.topic)
+        return [record.clientId, record.topic, levels.root, levels.depth, record.qos]
+      }
+    },
+    retained: {
+      table: 'retained',
+      sql: `
+        INSERT INTO ${tables.retained} (topic, depth, payload, payload_codec, key_id, qos, properties, expires_at)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE
+          payload = VALUES(payload),
+          payload_codec = VALUES(payload_codec),
+          key_id = VALUES(key_id),
+          qos = VALUES(qos),
+          properties = VALUES(properties),
+          expires_at = VALUES(expires_at)
+      `,
+      values: (record, sealed) => [
+        record.topic,
+        topics.levels(record.topic).depth,
+        nullable(sealed.payload),
+        sealed.codec,
+        sealed.keyId,
+        record.qos,
+        properties.encode(record.properties),
+        nullable(record.expiresAt)
+      ]
+    },
+    outgoing: {
+      table: 'outgoing',
+      // Packets identified by brokerId and brokerCounter, with their QoS
+      // and content, are not duplicated, see _insertOutgoing in index.js
+      sql: `
+        INSERT INTO ${tables.outgoing}
+          (client_id, broker_id, broker_counter, packet_digest, cmd, message_id, topic, topic_ciphertext, payload, payload_codec, key_id,
+            payload_size, qos, retain_flag, dup_flag, properties, expires_at)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE id = id
+      `,
+      values: ({ clientId, packet, expiresAt }, sealed) => [
+        clientId,
+        nullable(packet.brokerId),
+        nullable(packet.brokerCounter),
+        packetDigest(packet),
+        packet.cmd || 'publish',
+        packet.messageId || null,
+        sealed.topic || '',
+        sealed.topicCiphertext,
+        nullable(sealed.payload),
+        sealed.codec,
+        sealed.keyId,
+        payloadSize(packet),
+        packet.qos || 0,
+        packet.retain || false,
+        packet.dup || false,
+        properties.encode(packet.properties),
+        nullable(expiresAt)
+      ]
+    },
+    incoming: {
+      table: 'incoming',
+      sql: `
+        INSERT INTO ${tables.incoming}
+          (client_id, message_id, topic, topic_ciphertext, payload, payload_codec, key_id, qos, properties, expires_at)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE
+          topic = VALUES(topic),
+          topic_ciphertext = VALUES(topic_ciphertext),
+          payload = VALUES(payload),
+          payload_codec = VALUES(payload_codec),
+          key_id = VALUES(key_id),
+          qos = VALUES(qos),
+          properties = VALUES(properties),
+          expires_at = VALUES(expires_at)
+      `,
+      values: ({ clientId, packet, expiresAt }, sealed) => [
+        clientId,
+        packet.messageId,
+        sealed.topic,
+        sealed.topicCiphertext,
+        nullable(sealed.payload),
+        sealed.codec,
+        sealed.keyId,
+        packet.qos,
+        properties.encode(packet.properties),
+        nullable(expiresAt)
+      ]
+    },
+    will: {
+      table: 'will',
+      sql: `
+        INSERT INTO ${tables.will}
+          (client_id, topic, topic_ciphertext, payload, payload_codec, key_id, qos, retain_flag, broker_id, properties,
+            delay_interval)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE
+          topic = VALUES(topic),
+          topic_ciphertext = VALUES(topic_ciphertext),
+          payload = VALUES(payload),
+          payload_codec = VALUES(payload_codec),
+          key_id = VALUES(key_id),
+          qos = VALUES(qos),
+          retain_flag = VALUES(retain_flag),
+          broker_id = VALUES(broker_id),
+          properties = VALUES(properties),
+          delay_interval = VALUES(delay_interval)
+      `,
+      values: ({ clientId, brokerId, packet }, sealed) => [
+        clientId,
+        sealed.topic,
+        sealed.topicCiphertext,
+        nullable(sealed.payload),
+        sealed.codec,
+        sealed.keyId,
+        packet.qos,
+        packet.retain || false,
+        nullable(brokerId),
+        properties.encode(packet.properties),
+        (packet.properties && packet.properties.willDelayInterval) || 0
+      ]
+    }
+  }
+}
+
+// Delete the stored state a snapshot replaces, with query(sql). Resolves
+// with the topics of the retained messages deleted.
+async function clear (persistence, query) {
+  const tables = persistence.tables
+  const [retained] = await query(`SELECT topic FROM ${tables.retained} FOR UPDATE`)
+  for (const table of [tables.subscriptions, tables.retained, tables.outgoing, tables.messages, tables.incoming, tables.will]) {
+    await query(`DELETE FROM ${table}`)
+  }
+  return retained.map(row => row.topic)
+}
+
+// Import a snapshot: 'merge' upserts its records over the stored state,
+// 'replace' deletes the stored state first. Resolves with the number of
+// records imported per table, and of expired records skipped.
+async function importSnapshot (persistence, input, opts) {
+  opts = opts || {}
+  const mode = opts.mode || 'merge'
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown import mode: ${mode}, expected one of ${MODES.join(', ')}`)
+  }
+
+  const records = parse(input, opts)[Symbol.asyncIterator]()
+  // Check the header before deleting anything
+  const first = await records.next()
+
+  const changed = change => persistence.emit('retainedChanged', change)
+  let imported
+  if (mode === 'merge') {
+    imported = await writeRecords(persistence, first, records, (sql, params) => persistence._query(sql, params), changed)
+  } else {
+    // Deleting and importing in one transaction, on a single connection,
+    // keeps the stored state when a record is invalid or a statement
+    // fails. Not retried, since the input is consumed.
+    // The changes of retained messages are reported once committed
+    const connection = await persistence._primary().getConnection()
+    const changes = []
+    try {
+      await connection.beginTransaction()
+      const query = (sql, params) => connection.query(sql, params)
+      for (const topic of await clear(persistence, query)) {
+        changes.push({ type: 'cleared', topic, reason: 'import' })
+      }
+      imported = await writeRecords(persistence, first, records, query, change => changes.push(change))
+      await connection.commit()
+      changes.forEach(changed)
+    } catch (err) {
+      await connection.rollback().catch(() => {})
+      throw err
+    } finally {
+      connection.release()
+    }
+  }
+
+  // Subscriptions changed behind the back of the caches
+  if (persistence.subscriptionCache) {
+    await persistence.subscriptionCache.invalidate()
+  }
+
+  return imported
+}
+
+// Write the records, from next on, in batches with query(sql, params).
+// Calls changed(change) with a retainedChanged event for each retained
+// message written.
+async function writeRecords (persistence, next, records, query, changed) {
+  const write = writers(persistence.tables)
+  const imported = { subscriptions: 0, retained: 0, outgoing: 0, incoming: 0, will: 0, expired: 0 }
+  const batches = new Map()
+
+  async function flush (type) {
+    const batch = batches.get(type)
+    batches.delete(type)
+    await query(write[type].sql, [batch.values])
+    imported[write[type].table] += batch.values.length
+    if (type === 'retained') {
+      for (const record of batch.records) {
+        changed({ type: 'set', topic: record.topic, packet: retainedRecordPacket(record) })
+      }
+    }
+  }
+
+  for (; !next.done; next = await records.next()) {
+    const record = next.value
+    if (properties.expired(record.expiresAt, Date.now())) {
+      imported.expired++
+      continue
+    }
+
+    let batch = batches.get(record.type)
+    if (!batch) {
+      batch = { values: [], records: [], bytes: 0 }
+      batches.set(record.type, batch)
+    }
+    if (record.type === 'retained') {
+      batch.records.push(record)
+    }
+    // Stored the way the persistence stores them, compressed and encrypted
+    const packet = record.type === 'retained' ? record : record.packet
+    const sealed = await persistence._seal(packet || {}, record.type !== 'retained')
+    batch.values.push(write[record.type].values(record, sealed))
+    batch.bytes += sealed.payload ? Buffer.byteLength(sealed.payload) : 0
+
+    if (batch.values.length >= BATCH_ROWS || batch.bytes >= BATCH_BYTES) {
+      await flush(record.type)
+    }
+  }
+
+  for (const type of Array.from(batches.keys())) {
+    await flush(type)
+  }
+
+  return imported
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  MODES,
+  exportSnapshot,
+  exportFrom,
+  importSnapshot,
+  parse,
+  serialize,
+  fromExtendedJson
+}
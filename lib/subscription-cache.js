@@ -0,0 +1,306 @@
+'use strict'
+
+const crypto = require('crypto')
+const QlobberSub = require('qlobber/aedes/qlobber-sub')
+const topics = require('./topic')
+
+const QLOBBER_OPTIONS = {
+  wildcard_one: '+',
+  wildcard_some: '#',
+  separator: '/',
+  // MQTT lets '+' match an empty level, e.g. 'sport/+' matches 'sport/'
+  match_empty_levels: true
+}
+
+const DEFAULT_POLL_INTERVAL = 1000 // milliseconds
+const DEFAULT_RETENTION = 3600 // seconds
+const POLL_BATCH_SIZE = 1000
+const PRUNE_INTERVAL = 60 * 1000
+// Change-log ids are auto-increment values, so a row can commit after a
+// row with a higher id. Rows younger than this are read again next poll.
+const SETTLE_SECONDS = 5
+
+// In-memory copy of the subscriptions table. Offline subscriptions with
+// QoS > 0 are kept in a trie to answer subscriptionsByTopic, and every
+// subscription is counted for countOffline.
+//
+// Other brokers sharing the tables record the clients whose subscriptions
+// they changed in a change-log table, which is polled to refresh them.
+function SubscriptionCache (persistence, opts) {
+  if (!(this instanceof SubscriptionCache)) {
+    return new SubscriptionCache(persistence, opts)
+  }
+
+  opts = opts || {}
+  this.persistence = persistence
+  this.pollInterval = opts.pollInterval === undefined ? DEFAULT_POLL_INTERVAL : opts.pollInterval
+  this.retention = opts.retention || DEFAULT_RETENTION
+  // Identifies the change-log rows written by this instance
+  this.origin = crypto.randomBytes(16).toString('hex')
+
+  this._reset()
+
+  this._lastId = 0
+  this._seen = new Set()
+  this._lastPoll = 0
+  this._lastPrune = 0
+  this._timer = null
+  this._polling = null
+  this._stopped = true
+}
+
+SubscriptionCache.prototype._reset = function () {
+  this.trie = new QlobberSub(QLOBBER_OPTIONS)
+  // Map ( clientId -> Map ( topic -> qos ) )
+  this.clients = new Map()
+}
+
+Object.defineProperty(SubscriptionCache.prototype, 'syncing', {
+  get: function () {
+    return this.pollInterval > 0
+  }
+})
+
+// Load every subscription from the database
+SubscriptionCache.prototype.load = async function () {
+  const tables = this.persistence.tables
+  const pool = this.persistence._primary()
+
+  // Read the change-log position first, changes made while loading are
+  // then replayed by the next poll
+  const [[position]] = await pool.query(`SELECT COALESCE(MAX(id), 0) AS id FROM ${tables.subscriptionChanges}`)
+  const [rows] = await pool.query(`SELECT client_id, topic, qos FROM ${tables.subscriptions}`)
+
+  this._reset()
+  for (const row of rows) {
+    this.add(row.client_id, row.topic, row.qos)
+  }
+
+  this._lastId = position.id
+  this._seen.clear()
+  this._lastPoll = Date.now()
+}
+
+SubscriptionCache.prototype.add = function (clientId, topic, qos) {
+  let stored = this.clients.get(clientId)
+  if (!stored) {
+    stored = new Map()
+    this.clients.set(clientId, stored)
+  }
+
+  if (qos > 0) {
+    this.trie.add(topic, { clientId, topic, qos })
+  } else if (stored.get(topic) > 0) {
+    this.trie.remove(topic, { clientId, topic })
+  }
+  stored.set(topic, qos)
+}
+
+SubscriptionCache.prototype.remove = function (clientId, topic) {
+  const stored = this.clients.get(clientId)
+  if (!stored || !stored.has(topic)) {
+    return
+  }
+
+  if (stored.get(topic) > 0) {
+    this.trie.remove(topic, { clientId, topic })
+  }
+  stored.delete(topic)
+
+  if (stored.size === 0) {
+    this.clients.delete(clientId)
+  }
+}
+
+SubscriptionCache.prototype.clean = function (clientId) {
+  const stored = this.clients.get(clientId)
+  if (!stored) {
+    return
+  }
+
+  for (const topic of Array.from(stored.keys())) {
+    this.remove(clientId, topic)
+  }
+}
+
+// Subscriptions matching a published topic
+SubscriptionCache.prototype.match = function (topic) {
+  let subs = this.trie.match(topic)
+
+  // The trie lets wildcards match '$SYS/...' style topics, MQTT does not
+  if (topic.startsWith('$')) {
+    subs = subs.filter(sub => topics.matches(sub.topic, topic))
+  }
+
+  return subs.map(sub => ({
+    clientId: sub.clientId,
+    topic: sub.topic,
+    qos: sub.qos
+  }))
+}
+
+SubscriptionCache.prototype.count = function () {
+  return {
+    subscriptions: this.trie.subscriptionsCount,
+    clients: this.clients.size
+  }
+}
+
+// Record in the change log that the subscriptions of clientId changed,
+// or that every subscription may have changed when clientId is null.
+// Meant to run in the same transaction as the change itself.
+SubscriptionCache.prototype.log = async function (connection, clientId) {
+  if (!this.syncing) {
+    return
+  }
+
+  await connection.query(
+    `INSERT INTO ${this.persistence.tables.subscriptionChanges} (origin, client_id) VALUES (?, ?)`,
+    [this.origin, clientId]
+  )
+}
+
+// Reload everything, and tell the other brokers to do the same. Used when
+// rows were removed behind the cache's back, e.g. by the TTL sweeper.
+SubscriptionCache.prototype.invalidate = async function () {
+  await this.log(this.persistence._primary(), null)
+  await this.load()
+}
+
+SubscriptionCache.prototype.start = function () {
+  if (!this.syncing || !this._stopped) {
+    return
+  }
+
+  this._stopped = false
+  this._schedule()
+}
+
+SubscriptionCache.prototype._schedule = function () {
+  if (this._stopped) {
+    return
+  }
+
+  this._timer = setTimeout(() => {
+    this._timer = null
+    this._polling = this.poll()
+      .catch((err) => {
+        this.persistence._emitError(err, 'Failed to sync MySQL subscriptions:')
+      })
+      .then(() => {
+        this._polling = null
+        this._schedule()
+      })
+  }, this.pollInterval)
+  this._timer.unref()
+}
+
+// Apply the changes made by other brokers since the last poll
+SubscriptionCache.prototype.poll = async function () {
+  const tables = this.persistence.tables
+  const pool = this.persistence._primary()
+
+  // Changes older than the retention may have been pruned already
+  if (Date.now() - this._lastPoll > this.retention * 1000 / 2) {
+    await this.load()
+    return
+  }
+
+  let rows
+  do {
+    [rows] = await pool.query(`
+      SELECT id, origin, client_id, TIMESTAMPDIFF(SECOND, created_at, CURRENT_TIMESTAMP) AS age
+      FROM ${tables.subscriptionChanges}
+      WHERE id > ?
+      ORDER BY id
+      LIMIT ${POLL_BATCH_SIZE}
+    `, [this._lastId])
+
+    const clientIds = new Set()
+    let settled = true
+    let reload = false
+
+    for (const row of rows) {
+      if (!this._seen.has(row.id) && row.origin !== this.origin) {
+        if (row.client_id === null) {
+          reload = true
+        } else {
+          clientIds.add(row.client_id)
+        }
+      }
+
+      // Only move past rows old enough for earlier ids to have committed
+      settled = settled && row.age >= SETTLE_SECONDS
+      if (settled) {
+        this._lastId = row.id
+        this._seen.delete(row.id)
+      } else {
+        this._seen.add(row.id)
+      }
+    }
+
+    if (reload) {
+      await this.load()
+      return
+    }
+    await this._refresh(Array.from(clientIds))
+
+    // Unsettled rows are read again, so stop instead of looping on them
+    if (!settled) {
+      break
+    }
+  } while (rows.length === POLL_BATCH_SIZE)
+
+  this._lastPoll = Date.now()
+  await this._prune()
+}
+
+// Replace the cached subscriptions of some clients with the stored ones
+SubscriptionCache.prototype._refresh = async function (clientIds) {
+  if (clientIds.length === 0) {
+    return
+  }
+
+  const [rows] = await this.persistence._primary().query(
+    `SELECT client_id, topic, qos FROM ${this.persistence.tables.subscriptions} WHERE client_id IN (?)`,
+    [clientIds]
+  )
+
+  for (const clientId of clientIds) {
+    this.clean(clientId)
+  }
+  for (const row of rows) {
+    this.add(row.client_id, row.topic, row.qos)
+  }
+}
+
+SubscriptionCache.prototype._prune = async function () {
+  if (Date.now() - this._lastPrune < PRUNE_INTERVAL) {
+    return
+  }
+  this._lastPrune = Date.now()
+
+  await this.persistence._primary().query(`
+    DELETE FROM ${this.persistence.tables.subscriptionChanges}
+    WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+    LIMIT ${POLL_BATCH_SIZE}
+  `, [this.retention])
+}
+
+// Stop polling and wait for a poll in progress to finish
+SubscriptionCache.prototype.stop = function (cb) {
+  this._stopped = true
+
+  if (this._timer) {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  if (!this._polling) {
+    return process.nextTick(cb)
+  }
+
+  this._polling.then(() => cb())
+}
+
+module.exports = SubscriptionCache
@@ -0,0 +1,290 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const util = require('util')
+const Heartbeat = require('./heartbeat')
+const session = require('./session')
+
+const DEFAULT_INTERVAL = 60 // seconds
+const DEFAULT_BATCH_SIZE = 1000
+// Heartbeats of dead brokers are kept this long after their last wills
+const BROKER_RETENTION = 24 * 3600 * 1000 // milliseconds
+// Shared payloads are committed with the rows referring to them, and are
+// left alone while young enough to belong to a transaction in progress
+const SHARED_MESSAGE_GRACE = 60 // seconds
+
+// Deletes rows whose created_at is older than the configured TTL, packets
+// whose MQTT 5 message expiry interval has elapsed, and sessions whose
+// expiry interval has elapsed since their client disconnected, along with
+// the heartbeats of brokers long dead and the shared payloads no queued
+// packet refers to anymore. Runs on a timer inside the process, so it does
+// not need the MySQL event_scheduler to be enabled.
+function Sweeper (persistence, opts) {
+  if (!(this instanceof Sweeper)) {
+    return new Sweeper(persistence, opts)
+  }
+
+  EventEmitter.call(this)
+
+  opts = opts || {}
+  this.persistence = persistence
+  this.interval = (opts.interval || DEFAULT_INTERVAL) * 1000
+  this.batchSize = opts.batchSize || DEFAULT_BATCH_SIZE
+
+  this._timer = null
+  this._running = null
+  this._stopped = true
+  this._closed = false
+}
+
+util.inherits(Sweeper, EventEmitter)
+
+// Tables to sweep with their TTL in seconds, skipping disabled TTLs
+Sweeper.prototype.targets = function () {
+  const ttl = this.persistence.ttl
+  const tables = this.persistence.tables
+  const targets = {
+    incoming: { table: tables.incoming, ttl: ttl.packets.incoming },
+    outgoing: { table: tables.outgoing, ttl: ttl.packets.outgoing },
+    retained: { table: tables.retained, ttl: ttl.packets.retained },
+    will: { table: tables.will, ttl: ttl.packets.will },
+    subscriptions: { table: tables.subscriptions, ttl: ttl.subscriptions }
+  }
+
+  for (const name of Object.keys(targets)) {
+    const value = targets[name].ttl
+    if (typeof value !== 'number' || value <= 0) {
+      delete targets[name]
+    }
+  }
+
+  return targets
+}
+
+// Tables storing the expiry time of MQTT 5 packets
+Sweeper.prototype.expiring = function () {
+  const tables = this.persistence.tables
+  return [tables.incoming, tables.outgoing, tables.retained]
+}
+
+Sweeper.prototype.start = function () {
+  if (!this._stopped) {
+    return
+  }
+
+  this._stopped = false
+  this._schedule()
+}
+
+Sweeper.prototype._schedule = function () {
+  if (this._stopped) {
+    return
+  }
+
+  this._timer = setTimeout(() => {
+    this._timer = null
+    this.sweep((err) => {
+      if (err) {
+        this.emit('error', err)
+      }
+      this._schedule()
+    })
+  }, this.interval)
+  this._timer.unref()
+}
+
+// Run a single sweep; calls back with the number of rows removed per table
+Sweeper.prototype.sweep = function (cb) {
+  cb = cb || function () {}
+
+  // Never run two sweeps at the same time, piggyback on the current one
+  if (!this._running) {
+    this._running = this._sweep()
+      .finally(() => {
+        this._running = null
+      })
+  }
+
+  this._running
+    .then((removed) => cb(null, removed))
+    .catch(cb)
+}
+
+Sweeper.prototype._sweep = async function () {
+  const targets = this.targets()
+  const removed = { total: 0 }
+
+  const retained = this.persistence.tables.retained
+  for (const name of Object.keys(targets)) {
+    const target = targets[name]
+    removed[name] = target.table === retained
+      ? await this._deleteRetained('created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)', () => [target.ttl])
+      : await this._sweepTable(target.table, target.ttl)
+    removed.total += removed[name]
+  }
+
+  removed.expired = 0
+  for (const table of this.expiring()) {
+    removed.expired += table === retained
+      ? await this._deleteRetained('expires_at <= ?', () => [Date.now()])
+      : await this._deleteBatches(`
+        DELETE FROM ${table}
+        WHERE expires_at <= ?
+        LIMIT ${this.batchSize}
+      `, () => [Date.now()])
+  }
+  removed.total += removed.expired
+
+  removed.sessions = await this._sweepSessions()
+  removed.total += removed.sessions
+
+  const tables = this.persistence.tables
+  removed.brokers = await this._deleteBatches(`
+    DELETE FROM ${tables.brokers}
+    WHERE expires_at < ${Heartbeat.NOW} - ?
+      AND NOT EXISTS (SELECT 1 FROM ${tables.will} WHERE ${tables.will}.broker_id = ${tables.brokers}.broker_id)
+    LIMIT ${this.batchSize}
+  `, () => [BROKER_RETENTION])
+  removed.total += removed.brokers
+
+  // Last, since every deletion above may leave shared payloads behind
+  removed.messages = await this._deleteBatches(`
+    DELETE FROM ${tables.messages}
+    WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      AND NOT EXISTS (SELECT 1 FROM ${tables.outgoing} WHERE ${tables.outgoing}.shared_message_id = ${tables.messages}.id)
+    LIMIT ${this.batchSize}
+  `, () => [SHARED_MESSAGE_GRACE])
+  removed.total += removed.messages
+
+  this.emit('sweep', removed)
+  return removed
+}
+
+Sweeper.prototype._sweepTable = function (table, ttl) {
+  return this._deleteBatches(`
+    DELETE FROM ${table}
+    WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+    LIMIT ${this.batchSize}
+  `, () => [ttl])
+}
+
+// Delete expired sessions together with the subscriptions and queued
+// packets of their clients. Their wills are left to streamWill, due right
+// away: MQTT 5 sends a will at the latest when the session ends.
+Sweeper.prototype._sweepSessions = async function () {
+  const tables = this.persistence.tables
+  const sessions = tables.sessions
+  const brokers = tables.brokers
+
+  // disconnectSession is never called for the clients of a crashed broker:
+  // their sessions ended when its heartbeat expired. A broker is only taken
+  // for crashed past a grace period, and a heartbeat resuming connects its
+  // sessions again, see lib/heartbeat.js.
+  const heartbeat = this.persistence.heartbeat
+  await this.persistence._query(`
+    UPDATE ${sessions} JOIN ${brokers} ON ${brokers}.broker_id = ${sessions}.broker_id
+    SET ${sessions}.disconnected_at = FROM_UNIXTIME(${brokers}.expires_at / 1000),
+      ${sessions}.expires_at = IF(${sessions}.expiry_interval = ${session.NEVER_EXPIRES}, NULL,
+        ${brokers}.expires_at + ${sessions}.expiry_interval * 1000)
+    WHERE ${sessions}.disconnected_at IS NULL AND ${brokers}.expires_at + ? <= ${Heartbeat.NOW}
+  `, [heartbeat ? heartbeat.grace : Heartbeat.DEFAULT_GRACE])
+
+  let total = 0
+  let count
+  do {
+    count = await this.persistence._transaction(async (connection) => {
+      // Locking the sessions keeps a client reconnecting meanwhile from
+      // losing the state it resumes
+      const [rows] = await connection.query(`
+        SELECT client_id FROM ${tables.sessions}
+        WHERE expires_at <= ?
+        LIMIT ${this.batchSize}
+        FOR UPDATE
+      `, [Date.now()])
+
+      if (rows.length === 0) {
+        return 0
+      }
+
+      const clientIds = rows.map(row => row.client_id)
+      // Any broker streaming wills publishes them, whether or not the one
+      // the client was connected to is alive
+      await connection.query(`
+        UPDATE ${tables.will}
+        SET broker_id = NULL, delay_interval = 0, disconnected_at = ${Heartbeat.NOW}
+        WHERE client_id IN (?)
+      `, [clientIds])
+      for (const table of [tables.subscriptions, tables.outgoing, tables.incoming, sessions]) {
+        await connection.query(`DELETE FROM ${table} WHERE client_id IN (?)`, [clientIds])
+      }
+      return rows.length
+    })
+    total += count
+  } while (count === this.batchSize && !this._closed)
+
+  return total
+}
+
+// Delete the retained messages matching a condition, in batches. They are
+// selected first to report their topics with retainedChanged.
+Sweeper.prototype._deleteRetained = async function (condition, params) {
+  const persistence = this.persistence
+  const retained = persistence.tables.retained
+
+  let total = 0
+  let rows
+  do {
+    rows = await persistence._transaction(async (connection) => {
+      const [rows] = await connection.query(`
+        SELECT id, topic FROM ${retained}
+        WHERE ${condition}
+        LIMIT ${this.batchSize}
+        FOR UPDATE
+      `, params())
+      if (rows.length > 0) {
+        await connection.query(`DELETE FROM ${retained} WHERE id IN (?)`, [rows.map(row => row.id)])
+      }
+      return rows
+    })
+    for (const row of rows) {
+      persistence.emit('retainedChanged', { type: 'cleared', topic: row.topic, reason: 'expired' })
+    }
+    total += rows.length
+  } while (rows.length === this.batchSize && !this._closed)
+
+  return total
+}
+
+// Delete in batches so a large backlog does not hold locks for too long
+Sweeper.prototype._deleteBatches = async function (query, params) {
+  let total = 0
+  let affected
+  do {
+    const [result] = await this.persistence._primary().query(query, params())
+    affected = result.affectedRows
+    total += affected
+  } while (affected === this.batchSize && !this._closed)
+
+  return total
+}
+
+// Stop the timer and wait for a sweep in progress to finish
+Sweeper.prototype.stop = function (cb) {
+  this._stopped = true
+  this._closed = true
+
+  if (this._timer) {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  if (!this._running) {
+    return process.nextTick(cb)
+  }
+
+  this._running
+    .then(() => cb())
+    .catch(() => cb())
+}
+
+module.exports = Sweeper
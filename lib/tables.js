@@ -0,0 +1,63 @@
+'use strict'
+
+const DEFAULT_PREFIX = 'aedes_'
+
+// Logical table -> name without prefix
+const TABLES = {
+  subscriptions: 'subscriptions',
+  retained: 'retained',
+  outgoing: 'outgoing',
+  messages: 'messages',
+  incoming: 'incoming',
+  will: 'will',
+  sessions: 'sessions',
+  brokers: 'brokers',
+  subscriptionChanges: 'subscription_changes',
+  schemaVersion: 'schema_version'
+}
+
+// Table names end up inside SQL text, so only plain unquoted MySQL
+// identifiers are accepted
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/
+
+function validate (name, what) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid ${what} "${name}": only letters, digits and underscores are allowed, up to 64 characters`)
+  }
+  return name
+}
+
+// Resolve the table names from the tablePrefix and tables options
+function resolveTables (opts) {
+  opts = opts || {}
+
+  const prefix = opts.tablePrefix === undefined ? DEFAULT_PREFIX : opts.tablePrefix
+  if (prefix !== '') {
+    validate(prefix, 'table prefix')
+  }
+
+  const names = opts.tables || {}
+  for (const key of Object.keys(names)) {
+    if (!TABLES[key]) {
+      throw new Error(`Unknown table "${key}", expected one of: ${Object.keys(TABLES).join(', ')}`)
+    }
+  }
+
+  const tables = {}
+  for (const key of Object.keys(TABLES)) {
+    tables[key] = validate(names[key] || prefix + TABLES[key], `${key} table name`)
+  }
+
+  const unique = new Set(Object.values(tables))
+  if (unique.size !== Object.keys(tables).length) {
+    throw new Error('Table names must be distinct')
+  }
+
+  return tables
+}
+
+module.exports = {
+  DEFAULT_PREFIX,
+  TABLES,
+  resolveTables
+}
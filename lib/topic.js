@@ -0,0 +1,96 @@
+'use strict'
+
+// MQTT 3.1.1 / 5 topic and topic filter helpers
+
+const SEPARATOR = '/'
+const WILDCARD_ONE = '+'
+const WILDCARD_SOME = '#'
+
+// A topic filter may only use wildcards as whole levels, '#' last
+function validFilter (filter) {
+  if (typeof filter !== 'string' || filter.length === 0) {
+    return false
+  }
+
+  const levels = filter.split(SEPARATOR)
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i]
+    if (level === WILDCARD_SOME) {
+      if (i !== levels.length - 1) {
+        return false
+      }
+    } else if (level !== WILDCARD_ONE && (level.includes(WILDCARD_ONE) || level.includes(WILDCARD_SOME))) {
+      return false
+    }
+  }
+
+  return true
+}
+
+// Whether a topic name matches a topic filter:
+// - '+' matches exactly one level, which may be empty
+// - '#' matches any number of levels, including the parent level itself
+// - a filter starting with a wildcard does not match topics starting with '$'
+function matches (filter, topic) {
+  if (topic.startsWith('$') && (filter.startsWith(WILDCARD_ONE) || filter.startsWith(WILDCARD_SOME))) {
+    return false
+  }
+
+  const filterLevels = filter.split(SEPARATOR)
+  const topicLevels = topic.split(SEPARATOR)
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    const level = filterLevels[i]
+
+    if (level === WILDCARD_SOME) {
+      return true
+    }
+    if (i >= topicLevels.length) {
+      return false
+    }
+    if (level !== WILDCARD_ONE && level !== topicLevels[i]) {
+      return false
+    }
+  }
+
+  return filterLevels.length === topicLevels.length
+}
+
+// Per-level representation stored next to topics and filters, used to
+// narrow SQL lookups down to an index range
+function levels (topic) {
+  const parts = topic.split(SEPARATOR)
+  return {
+    depth: parts.length,
+    root: parts[0]
+  }
+}
+
+// Literal part of a filter before its first wildcard level, including the
+// trailing separator: every matching topic starts with it
+function literalPrefix (filter) {
+  const parts = filter.split(SEPARATOR)
+  const literal = []
+
+  for (const level of parts) {
+    if (level === WILDCARD_ONE || level === WILDCARD_SOME) {
+      return literal.length > 0 ? literal.join(SEPARATOR) + SEPARATOR : ''
+    }
+    literal.push(level)
+  }
+
+  return filter
+}
+
+// Escape a string for use as a literal inside a LIKE pattern
+function escapeLike (value) {
+  return value.replace(/[\\%_]/g, '\\$&')
+}
+
+module.exports = {
+  validFilter,
+  matches,
+  levels,
+  literalPrefix,
+  escapeLike
+}
@@ -0,0 +1,157 @@
+'use strict'
+
+const DEFAULT_WINDOW = 2 // milliseconds
+const DEFAULT_MAX_SIZE = 100 // rows
+
+// Split a batch into segments in which writes can be grouped by method: a
+// key, e.g. a client queue, written by writes of different methods starts
+// a new segment, so the writes of each key keep their order
+function segments (ops) {
+  const result = []
+  let owners = null
+  for (const op of ops) {
+    if (!owners || op.keys.some(key => owners.has(key) && owners.get(key) !== op.method)) {
+      owners = new Map()
+      result.push([])
+    }
+    result[result.length - 1].push(op)
+    op.keys.forEach(key => owners.set(key, op.method))
+  }
+  return result
+}
+
+// Group commit of writes. Writes arriving within `window` milliseconds, up
+// to `maxSize` rows, are committed in a single transaction, each method of
+// the persistence writing all of its writes with multi-row statements.
+// One batch is committed at a time, and writes queued meanwhile make the
+// next one, so writes are committed in the order they were queued.
+function WriteBatcher (persistence, opts) {
+  if (!(this instanceof WriteBatcher)) {
+    return new WriteBatcher(persistence, opts)
+  }
+
+  opts = opts || {}
+  this.persistence = persistence
+  this.window = opts.window === undefined ? DEFAULT_WINDOW : opts.window
+  this.maxSize = opts.maxSize || DEFAULT_MAX_SIZE
+
+  this._queue = []
+  this._size = 0
+  this._timer = null
+  this._flushing = null
+}
+
+// Queue a write for persistence[method](connection, writes), resolving with
+// its result once its batch committed. `write.sealed` may be a promise,
+// awaited when the batch is written. `keys` name the rows the write
+// touches, one per row written.
+WriteBatcher.prototype.add = function (method, write, keys) {
+  const op = { method, keys, ready: Promise.resolve(write.sealed).then(sealed => ({ ...write, sealed })) }
+  // Awaited when the batch is written, failing this write only
+  op.ready.catch(() => {})
+
+  return new Promise((resolve, reject) => {
+    op.resolve = resolve
+    op.reject = reject
+    this._queue.push(op)
+    this._size += keys.length
+
+    // Otherwise flushed once the batch in progress committed
+    if (this._flushing) {
+      return
+    }
+    if (this._size >= this.maxSize) {
+      this._flush()
+    } else if (!this._timer) {
+      this._timer = setTimeout(() => this._flush(), this.window)
+    }
+  })
+}
+
+WriteBatcher.prototype._flush = function () {
+  clearTimeout(this._timer)
+  this._timer = null
+  if (this._flushing || this._queue.length === 0) {
+    return this._flushing
+  }
+
+  const batch = []
+  let size = 0
+  while (this._queue.length > 0 && (batch.length === 0 || size + this._queue[0].keys.length <= this.maxSize)) {
+    const op = this._queue.shift()
+    batch.push(op)
+    size += op.keys.length
+  }
+  this._size -= size
+
+  this._flushing = this._write(batch)
+    .finally(() => {
+      this._flushing = null
+      // Writes queued meanwhile already waited for a commit
+      if (this._queue.length > 0) {
+        this._flush()
+      }
+    })
+  return this._flushing
+}
+
+WriteBatcher.prototype._write = async function (batch) {
+  const ops = []
+  for (const op of batch) {
+    try {
+      op.write = await op.ready
+      ops.push(op)
+    } catch (err) {
+      op.reject(err)
+    }
+  }
+  if (ops.length === 0) {
+    return
+  }
+
+  try {
+    await this._commit(ops)
+    ops.forEach(op => op.resolve(op.result))
+  } catch (err) {
+    if (ops.length === 1) {
+      return ops[0].reject(err)
+    }
+    // A write failing the batch, e.g. one larger than max_allowed_packet,
+    // must not fail the others: commit them one by one
+    for (const op of ops) {
+      await this._commit([op])
+        .then(() => op.resolve(op.result), op.reject)
+    }
+  }
+}
+
+WriteBatcher.prototype._commit = function (ops) {
+  const persistence = this.persistence
+  return persistence._transaction(async (connection) => {
+    for (const segment of segments(ops)) {
+      for (const method of new Set(segment.map(op => op.method))) {
+        const group = segment.filter(op => op.method === method)
+        const results = (await persistence[method](connection, group.map(op => op.write))) || []
+        group.forEach((op, i) => {
+          op.result = results[i]
+        })
+      }
+    }
+  })
+}
+
+// Commit the queued writes, then call back
+WriteBatcher.prototype.stop = function (cb) {
+  const drain = () => {
+    const flushing = this._flush()
+    if (!flushing) {
+      return cb()
+    }
+    flushing.then(drain)
+  }
+  drain()
+}
+
+WriteBatcher.segments = segments
+
+module.exports = WriteBatcher
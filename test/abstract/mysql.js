@@ -0,0 +1,19 @@
+'use strict'
+
+// The aedes-persistence conformance suite. It is written for node:test, so
+// it runs apart from the tape tests: `node --test test/abstract/mysql.js`
+const { test } = require('node:test')
+const util = require('util')
+const abs = require('aedes-persistence/abstract')
+const persistence = require('../../')
+const { mysqlOpts, clean } = require('../helpers/mysql')
+
+abs({
+  test,
+  waitForReady: true,
+  // Calls made before the schema is ready are queued by the instance
+  persistence: async () => {
+    await util.promisify(clean)()
+    return persistence(mysqlOpts)
+  }
+})
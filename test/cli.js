@@ -0,0 +1,71 @@
+'use strict'
+
+const test = require('tape')
+const cli = require('../lib/cli')
+const doctor = require('../lib/doctor')
+
+function output () {
+  const chunks = []
+  return { write: chunk => chunks.push(chunk), text: () => chunks.join('') }
+}
+
+test('command line options', function (t) {
+  const { values, positionals } = cli.parse(['retained', 'list', 'fleet/#', '--limit', '10', '--json'])
+  t.deepEqual(positionals, ['retained', 'list', 'fleet/#'], 'commands and arguments')
+  t.equal(values.limit, '10', 'string options')
+  t.equal(values.json, true, 'boolean options')
+  t.throws(() => cli.parse(['stats', '--bogus']), /Unknown option/, 'rejects unknown options')
+  t.end()
+})
+
+test('command line persistence options', function (t) {
+  const env = { AEDES_MYSQL_URL: 'mysql://app@db/broker' }
+
+  t.deepEqual(cli.persistenceOptions({}, env), {
+    url: 'mysql://app@db/broker',
+    heartbeat: false,
+    subscriptionCache: false,
+    metrics: false
+  }, 'url from the environment, without background tasks')
+  t.deepEqual(cli.persistenceOptions({ url: 'mysql://other/broker', port: '3307', 'table-prefix': 'mqtt_' }, env), {
+    url: 'mysql://other/broker',
+    port: 3307,
+    tablePrefix: 'mqtt_',
+    heartbeat: false,
+    subscriptionCache: false,
+    metrics: false
+  }, 'flags win over the environment')
+  t.end()
+})
+
+test('command line usage errors', function (t) {
+  t.plan(4)
+
+  const stdout = output()
+  const stderr = output()
+  cli.main(['--help'], { stdout, stderr })
+    .then(function (code) {
+      t.equal(code, 0, 'help exits with 0')
+      t.ok(stdout.text().startsWith('Usage: aedes-mysql'), 'prints the usage')
+      return cli.main(['reindex'], { stdout, stderr })
+    })
+    .then(function (code) {
+      t.equal(code, 2, 'usage errors exit with 2')
+      t.ok(stderr.text().includes('Unknown command: reindex'), 'explains the error')
+    })
+})
+
+test('command line formatting', function (t) {
+  t.equal(cli.formatBytes(512), '512 B', 'bytes')
+  t.equal(cli.formatBytes(3 * 1024 * 1024), '3.0 MiB', 'larger units')
+  t.equal(cli.formatTable([{ table: 'aedes_will', rows: 3 }], ['table', 'rows']), 'table       rows\naedes_will  3', 'aligned columns')
+  t.end()
+})
+
+test('doctor checks max_allowed_packet against the largest payload', function (t) {
+  const mib = 1024 * 1024
+  t.equal(doctor.packetCheck(64 * mib, mib).status, 'ok', 'plenty of room')
+  t.equal(doctor.packetCheck(64 * mib, 40 * mib).status, 'warn', 'less than twice the largest payload')
+  t.equal(doctor.packetCheck(4 * mib, 4 * mib).status, 'fail', 'largest payload does not fit')
+  t.end()
+})
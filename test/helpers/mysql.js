@@ -0,0 +1,39 @@
+'use strict'
+
+// Test configuration
+const mysqlOpts = {
+  host: process.env.MYSQL_HOST || 'localhost',
+  port: process.env.MYSQL_PORT || 3306,
+  user: process.env.MYSQL_USER || 'root',
+  password: process.env.MYSQL_PASSWORD || '',
+  database: process.env.MYSQL_DATABASE || 'aedes_test'
+}
+
+// Clean database before each test
+function clean (cb) {
+  const mysql = require('mysql2/promise')
+
+  mysql.createConnection(mysqlOpts)
+    .then(async (connection) => {
+      try {
+        await connection.execute('DROP TABLE IF EXISTS aedes_subscriptions')
+        await connection.execute('DROP TABLE IF EXISTS aedes_retained')
+        await connection.execute('DROP TABLE IF EXISTS aedes_outgoing')
+        await connection.execute('DROP TABLE IF EXISTS aedes_messages')
+        await connection.execute('DROP TABLE IF EXISTS aedes_incoming')
+        await connection.execute('DROP TABLE IF EXISTS aedes_will')
+        await connection.execute('DROP TABLE IF EXISTS aedes_sessions')
+        await connection.execute('DROP TABLE IF EXISTS aedes_brokers')
+        await connection.execute('DROP TABLE IF EXISTS aedes_subscription_changes')
+        await connection.execute('DROP TABLE IF EXISTS aedes_schema_version')
+        await connection.end()
+        cb()
+      } catch (err) {
+        await connection.end()
+        cb(err)
+      }
+    })
+    .catch(cb)
+}
+
+module.exports = { mysqlOpts, clean }
@@ -0,0 +1,124 @@
+'use strict'
+
+const test = require('tape')
+const memory = require('aedes-persistence')
+const snapshot = require('../lib/snapshot')
+
+async function collect (iterable) {
+  const items = []
+  for await (const item of iterable) {
+    items.push(item)
+  }
+  return items
+}
+
+test('snapshot of an in-memory persistence', function (t) {
+  t.plan(5)
+
+  const instance = memory()
+  const client = { id: 'device-1' }
+  instance.broker = { id: 'broker-42' }
+  instance.once('ready', function () {
+    instance.addSubscriptions(client, [{ topic: 'fleet/+/status', qos: 1 }], function () {
+      instance.storeRetained({ cmd: 'publish', topic: 'fleet/1/status', payload: Buffer.from('up'), qos: 0, retain: true }, function () {
+        instance.putWill(client, { topic: 'fleet/1/status', payload: Buffer.from('down'), qos: 1, retain: true }, function () {
+          collect(snapshot.exportFrom(instance, { clients: [client.id] }))
+            .then(function (lines) {
+              const header = JSON.parse(lines[0])
+              t.equal(header.format, snapshot.FORMAT, 'header line')
+              t.equal(JSON.parse(lines[1]).payload, Buffer.from('up').toString('base64'), 'payloads in base64')
+              return collect(snapshot.parse(lines.join('')))
+            })
+            .then(function (records) {
+              t.deepEqual(records.map(record => record.type), ['retained', 'subscription', 'will'], 'records of every type')
+              t.deepEqual(records[0].payload, Buffer.from('up'), 'payloads decoded')
+              t.deepEqual(records[2].packet.payload, Buffer.from('down'), 'packet payloads decoded')
+              instance.destroy()
+            })
+            .catch(t.error)
+        })
+      })
+    })
+  })
+})
+
+test('snapshot properties keep binary values', function (t) {
+  t.plan(1)
+
+  const record = {
+    type: 'retained',
+    topic: 'hello',
+    payload: Buffer.from('world'),
+    qos: 1,
+    properties: { correlationData: Buffer.from([1, 2, 3]), contentType: 'text/plain' },
+    expiresAt: null
+  }
+  const text = JSON.stringify({ format: snapshot.FORMAT, version: 1 }) + '\n' + snapshot.serialize(record) + '\n'
+
+  collect(snapshot.parse(text))
+    .then(records => t.deepEqual(records, [record], 'record round-trips'))
+    .catch(t.error)
+})
+
+test('mongoexport files of aedes-persistence-mongodb', function (t) {
+  t.plan(3)
+
+  const lines = [
+    '{"_id":{"$oid":"5f1d7c2e8f1b2c3d4e5f6a7b"},"clientId":"device-1","packet":{"cmd":"publish","topic":"fleet/1/status",' +
+      '"payload":{"$binary":{"base64":"dXA=","subType":"00"}},"qos":1,"brokerId":"broker-42","brokerCounter":{"$numberLong":"7"}}}',
+    '{"_id":{"$oid":"5f1d7c2e8f1b2c3d4e5f6a7c"},"clientId":"device-2","packet":{"cmd":"publish","topic":"fleet/2/status",' +
+      '"payload":{"$binary":"ZG93bg==","$type":"00"},"qos":0}}'
+  ]
+
+  collect(snapshot.parse(lines.join('\n'), { collection: 'outgoing' }))
+    .then(function (records) {
+      t.deepEqual(records.map(record => record.type), ['outgoing', 'outgoing'], 'records of the collection')
+      t.deepEqual(records[0].packet.payload, Buffer.from('up'), 'binary payloads')
+      t.equal(records[0].packet.brokerCounter, 7, 'long numbers')
+    })
+    .catch(t.error)
+})
+
+test('invalid snapshots are rejected', function (t) {
+  t.plan(4)
+
+  function rejects (input, opts, pattern, message) {
+    return collect(snapshot.parse(input, opts))
+      .then(() => t.fail(message), err => t.match(err.message, pattern, message))
+  }
+
+  rejects('{"clientId":"a"}\n', {}, /Not an aedes persistence snapshot/, 'requires the header')
+    .then(() => rejects('{"format":"aedes-persistence-snapshot","version":99}\n', {}, /version 99 is not supported/, 'rejects newer versions'))
+    .then(() => rejects('{"format":"aedes-persistence-snapshot","version":1}\n{"type":"session"}\n', {}, /Unknown record type on line 2/, 'rejects unknown records'))
+    .then(() => rejects('{}', { collection: 'clients' }, /Unknown collection/, 'rejects unknown collections'))
+})
+
+test('invalid records are rejected with their line', function (t) {
+  const header = JSON.stringify({ format: snapshot.FORMAT, version: 1 })
+  const packet = { cmd: 'publish', topic: 'hello', payload: 'd29ybGQ=', qos: 1, brokerId: 'broker-42', brokerCounter: 1 }
+  const invalid = [
+    [{ type: 'subscription', topic: 'hello', qos: 1 }, /subscription record on line 2 .*clientId/, 'a subscription without a client'],
+    [{ type: 'subscription', clientId: 'device-1', topic: 'hello', qos: 3 }, /qos/, 'an invalid QoS'],
+    [{ type: 'retained', payload: 'd29ybGQ=', qos: 0 }, /retained record on line 2 .*topic/, 'a retained message without a topic'],
+    [{ type: 'retained', topic: 'hello', payload: 42, qos: 0 }, /payload/, 'a malformed payload'],
+    [{ type: 'outgoing', clientId: 'device-1' }, /packet must be an object/, 'a queued record without a packet'],
+    [{ type: 'outgoing', clientId: 'device-1', packet: { ...packet, brokerCounter: 'one' } }, /brokerCounter/, 'a malformed brokerCounter'],
+    [{ type: 'outgoing', clientId: 'device-1', packet: { cmd: 'pubrel' } }, /messageId/, 'a PUBREL without a messageId'],
+    [{ type: 'incoming', clientId: 'device-1', packet }, /messageId/, 'an incoming packet without a messageId'],
+    [{ type: 'will', clientId: 'device-1', packet: { ...packet, properties: 'none' } }, /properties/, 'malformed properties'],
+    [{ type: 'will', clientId: 'device-1', packet, expiresAt: 'soon' }, /expiresAt/, 'a malformed expiry']
+  ]
+  t.plan(invalid.length + 2)
+
+  const parse = records => collect(snapshot.parse([header, ...records.map(record => JSON.stringify(record))].join('\n')))
+  Promise.all(invalid.map(([record, pattern, message]) => parse([record])
+    .then(() => t.fail(message), err => t.ok(err.code === 'INVALID_SNAPSHOT' && pattern.test(err.message), message))))
+    .then(() => parse([
+      { type: 'outgoing', clientId: 'device-1', packet: { cmd: 'pubrel', messageId: 1 } },
+      { type: 'outgoing', clientId: 'device-1', packet: { topic: 'hello' } },
+      { type: 'incoming', clientId: 'device-1', packet: { ...packet, messageId: 7 }, expiresAt: null }
+    ]))
+    .then(records => t.equal(records.length, 3, 'valid records are kept'))
+    .then(() => parse([{ type: 'subscription', clientId: 'device-1', topic: 'hello', qos: 1 }, { type: 'subscription', clientId: 'device-1', topic: '', qos: 1 }]))
+    .then(() => t.fail('should reject'), err => t.match(err.message, /line 3/, 'the line of the invalid record'))
+})
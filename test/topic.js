@@ -0,0 +1,108 @@
+'use strict'
+
+const test = require('tape')
+const topics = require('../lib/topic')
+
+// [filter, topic, expected]
+const cases = [
+  // exact topics
+  ['sport/tennis', 'sport/tennis', true],
+  ['sport/tennis', 'sport/Tennis', false],
+  ['sport/tennis', 'sport/tennis/player1', false],
+  ['/finance', '/finance', true],
+  ['/finance', 'finance', false],
+
+  // regex metacharacters are literal
+  ['sport.tennis', 'sportXtennis', false],
+  ['sport.tennis', 'sport.tennis', true],
+  ['a(b)/c', 'a(b)/c', true],
+  ['a[b]/c', 'ab/c', false],
+  ['price$', 'price$', true],
+  ['price$', 'price', false],
+  ['a|b', 'a', false],
+  ['a*', 'aaa', false],
+  ['a\\b', 'a\\b', true],
+
+  // multi-level wildcard
+  ['sport/tennis/player1/#', 'sport/tennis/player1', true],
+  ['sport/tennis/player1/#', 'sport/tennis/player1/ranking', true],
+  ['sport/tennis/player1/#', 'sport/tennis/player1/score/wimbledon', true],
+  ['sport/#', 'sport', true],
+  ['sport/#', 'sports', false],
+  ['sport/#', 'sport/', true],
+  ['#', 'sport/tennis/player1', true],
+  ['#', '/', true],
+
+  // single-level wildcard
+  ['sport/tennis/+', 'sport/tennis/player1', true],
+  ['sport/tennis/+', 'sport/tennis/player2', true],
+  ['sport/tennis/+', 'sport/tennis/player1/ranking', false],
+  ['sport/+', 'sport', false],
+  ['sport/+', 'sport/', true],
+  ['+', 'sport', true],
+  ['+', '/sport', false],
+  ['+/+', '/finance', true],
+  ['/+', '/finance', true],
+  ['+/tennis/#', 'sport/tennis/player1', true],
+  ['sport/+/player1', 'sport/tennis/player1', true],
+  ['sport/+/player1', 'sport//player1', true],
+  ['+/+/+', 'a//c', true],
+  ['a/+/#', 'a/b', true],
+  ['a/+/#', 'a', false],
+
+  // topics starting with $
+  ['#', '$SYS/broker/uptime', false],
+  ['+/monitor/Clients', '$SYS/monitor/Clients', false],
+  ['+', '$SYS', false],
+  ['$SYS/#', '$SYS/monitor/Clients', true],
+  ['$SYS/monitor/+', '$SYS/monitor/Clients', true],
+  ['$SYS/#', '$SYS', true],
+  ['sport/#', 'sport/$internal', true]
+]
+
+test('topic filter matching', function (t) {
+  for (const [filter, topic, expected] of cases) {
+    t.equal(topics.matches(filter, topic), expected, `${filter} ${expected ? 'matches' : 'does not match'} ${topic}`)
+  }
+  t.end()
+})
+
+test('subscription cache follows the same rules', function (t) {
+  const SubscriptionCache = require('../lib/subscription-cache')
+
+  for (const [filter, topic, expected] of cases) {
+    const cache = new SubscriptionCache({ tables: {} })
+    cache.add('client', filter, 1)
+    t.equal(cache.match(topic).length === 1, expected, `${filter} ${expected ? 'matches' : 'does not match'} ${topic}`)
+  }
+  t.end()
+})
+
+test('topic filter validation', function (t) {
+  const valid = ['#', '+', 'sport/#', 'sport/+/player1', '+/+', '/', '//', 'sport/tennis', '$SYS/#']
+  const invalid = ['', 'sport/tennis#', 'sport/#/ranking', 'sport+', 'sport/+tennis', '#/tennis']
+
+  for (const filter of valid) {
+    t.ok(topics.validFilter(filter), `${filter} is valid`)
+  }
+  for (const filter of invalid) {
+    t.notOk(topics.validFilter(filter), `${JSON.stringify(filter)} is invalid`)
+  }
+  t.end()
+})
+
+test('topic levels', function (t) {
+  t.deepEqual(topics.levels('sport/tennis/player1'), { depth: 3, root: 'sport' })
+  t.deepEqual(topics.levels('/finance'), { depth: 2, root: '' })
+  t.deepEqual(topics.levels('sport'), { depth: 1, root: 'sport' })
+  t.end()
+})
+
+test('literal prefix of a filter', function (t) {
+  t.equal(topics.literalPrefix('sport/tennis'), 'sport/tennis', 'no wildcard')
+  t.equal(topics.literalPrefix('sport/tennis/+'), 'sport/tennis/', 'up to the wildcard level')
+  t.equal(topics.literalPrefix('sport/#'), 'sport/', 'up to the # level')
+  t.equal(topics.literalPrefix('+/tennis'), '', 'wildcard first')
+  t.equal(topics.escapeLike('100%_done\\'), '100\\%\\_done\\\\', 'LIKE wildcards are escaped')
+  t.end()
+})